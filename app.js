@@ -5,165 +5,2337 @@
 
 const { createApp } = Vue;
 
+// The waveform view shows 70ms at 1x zoom and can zoom in until 32 samples fill it
+const WAVEFORM_WINDOW = 70;
+const WAVEFORM_MIN_SAMPLES = 32;
+
+// Waveform overlay labels and colours for generator timeline types and bit fields
+const TIMELINE_STYLES = {
+    lead: { label: 'Lead-in', color: '#BDBDBD' },
+    warmup: { label: 'Warm-up', color: '#BDBDBD' },
+    gap: { label: 'Gap', color: '#BDBDBD' },
+    tail: { label: 'Tail', color: '#BDBDBD' },
+    header: { label: 'Header', color: '#666' },
+    stop: { label: 'Stop', color: '#666' },
+    repeat: { label: 'Repeat', color: '#666' },
+    frame: { label: 'Frame', color: '#667eea' }
+};
+const FIELD_COLORS = {
+    'Address': '#2196F3',
+    '~Address': '#FF9800',
+    'Command': '#4CAF50',
+    '~Command': '#9C27B0',
+    'Device': '#2196F3',
+    'Extended': '#FF9800',
+    'Customer': '#FF9800',
+    'Toggle': '#F44336'
+};
+
 createApp({
     data() {
         return {
             selectedBrand: 'lg',
             customCode: '0x20DF10EF',
+            customProtocol: 'nec',
+            customRaw: '+9000 -4500 +560 -560 +560 -1690 +560 -40000',
+            customPronto: '',
             frequency: 38,
+            tapRepeats: 0,
+            driver: { ...DEFAULT_DRIVER },
+            driverModes: DRIVER_MODES,
+            calibration: Calibration.load(),
+            calibrating: false,
+            measuredSpan: null,
+            learning: false,
+            learned: null,
+            learnTarget: { remoteId: null, name: '' },
+            hold: null,
             lastCommand: '',
+            lastLink: null, // Link state for the last sent command, for Copy Link
+            pendingSend: null, // Command from a #send= link, waiting for the first user interaction
+            updateWorker: null, // Service worker of a new version, waiting for the user to reload
+            inputBindings: InputBindings.load(),
+            mediaActions: MEDIA_ACTION_NAMES,
+            bindingCapture: null, // Command waiting for a key or gamepad button to be bound to it
+            heldInput: null, // Key or gamepad button holding the current command
+            gamepadNames: [],
             audioUrl: null,
-            audioBlob: null,
             irGenerator: null,
             audioContext: null,
+            transmitter: null,
+            lastSignal: null,
+            exportFormat: { sampleRate: 192000, format: 'pcm16', mono: false, compensate: false },
+            exportSampleRates: EXPORT_SAMPLE_RATES,
+            wavFormats: WAV_FORMATS,
             debugInfo: null,
-            brands: TV_REMOTES,
+            userRemotes: RemoteStore.load(),
+            editingRemoteId: null,
+            newRemoteName: '',
+            newButton: { name: '', protocol: 'nec', code: '' },
+            buttonProtocols: BUTTON_PROTOCOLS,
+            codeNotations: CODE_NOTATIONS,
+            codeDatabase: null, // Code sets, once the database has loaded
+            databaseLoading: false,
+            databaseQuery: '',
+            databaseType: '',
+            databaseBrand: null, // Code set loaded into the remote grid
+            deviceTypes: DEVICE_TYPES,
+            macros: RemoteStore.loadMacros(),
+            sweep: null, // Power sweep as { codes, remotes, index (next code), paused }
+            sweepDelay: 500, // ms of silence between sweep codes
+            sweepAllCarriers: true, // Also send every code on 36, 38 and 40 kHz after the first pass
+            sweepHit: null, // Index of the sweep code reported to have worked
+            sweepTimes: [], // Where each code starts in the downloaded sweep WAV, as { time (s), label }
+            scanner: CodeScanner.load(),
+            scanning: false, // Auto-stepping through the scan
+            scanLabel: '',
+            editingMacroId: null,
+            newMacroName: '',
+            newStep: { brand: 'lg', command: 'power', delay: 500, repeat: 1 },
+            dragOver: false,
             waveformZoom: 1,
             waveformOffset: 0,
+            waveformCursors: [], // Measurement cursor times in ms, A then B
+            waveformHover: null,
+            waveformGesture: null,
+            waveformPointers: {}, // Pointer x positions by pointer id, for drag and pinch
             currentSignal: null,
+            currentSampleRate: 192000,
+            currentSections: [], // Overlay sections as { start, end (ms), type (label), color }
+            currentProtocol: 'nec',
             currentAddress: 0,
             currentCommand: 0
         };
     },
 
+    created() {
+        // Links leave out whatever is still at its initial value
+        this.linkDefaults = { ...this.linkState };
+        this.applyLink(location.hash);
+    },
+
     mounted() {
         // Initialize IR generator
-        this.irGenerator = new IRGenerator(this.frequency);
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.irGenerator = new IRGenerator(this.frequency, this.driver, this.calibration.timingCompensation);
+
+        // Run the context at the generator's sample rate so the carrier is synthesized without resampling
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        try {
+            this.audioContext = new AudioContextClass({ sampleRate: this.irGenerator.sampleRate });
+        } catch (error) {
+            console.warn('Could not open audio at', this.irGenerator.sampleRate, 'Hz:', error);
+            this.audioContext = new AudioContextClass();
+        }
+
+        // Stream sends through the real-time transmitter, falling back to the audio player without it.
+        // A context left at the default 44.1/48 kHz can't synthesize the carrier, so it would only stream aliasing.
+        this.transmitter = new IRTransmitter(this.audioContext, this.calibration.timingCompensation, this.driver);
+        if (this.transmitter.canCarry(this.frequency * 1000)) {
+            this.transmitter.start().catch(error => {
+                console.warn('Real-time transmitter unavailable, using the audio player:', error);
+            });
+        } else {
+            console.warn(`Audio runs at ${this.audioContext.sampleRate} Hz, too slow for a ${this.frequency} kHz carrier; using the audio player`);
+            M.toast({
+                html: `Audio output runs at ${this.audioContext.sampleRate / 1000} kHz, too slow to stream a ${this.frequency} kHz carrier. Sends use the audio player instead.`,
+                classes: 'orange'
+            });
+        }
+
+        // Follow links opened in this tab, and fire a #send= command once the user interacts with the page
+        window.addEventListener('hashchange', this.onHashChange);
+        if (this.pendingSend) {
+            this.armPendingSend();
+        }
+
+        // Cache everything for offline use
+        this.registerServiceWorker();
+
+        // Drive the remote from the keyboard, gamepads and media keys
+        this.gamepadPressed = {}; // Button states from the last poll, by gamepad index
+        this.gamepadFrame = null;
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('gamepadconnected', this.onGamepadConnection);
+        window.addEventListener('gamepaddisconnected', this.onGamepadConnection);
+        this.applyMediaBindings();
 
         // Initialize Materialize components
         M.AutoInit();
+    },
+
+    computed: {
+        /**
+         * Whether sends stream through the real-time transmitter
+         */
+        streaming() {
+            return !!this.transmitter && this.transmitter.ready;
+        },
+
+        /**
+         * Zoom at which the waveform view shows WAVEFORM_MIN_SAMPLES samples
+         */
+        maxWaveformZoom() {
+            return WAVEFORM_WINDOW * this.currentSampleRate / 1000 / WAVEFORM_MIN_SAMPLES;
+        },
+
+        /**
+         * What lies under each measurement cursor
+         */
+        cursorReadouts() {
+            if (!this.currentSignal) return [];
+            return this.waveformCursors.map((timeMs, i) => ({ label: 'AB'[i], ...this.inspectWaveform(timeMs) }));
+        },
+
+        /**
+         * Time between the two measurement cursors in µs, or null until both are placed
+         */
+        cursorDelta() {
+            if (this.waveformCursors.length < 2) return null;
+            return Math.abs(this.waveformCursors[1] - this.waveformCursors[0]) * 1000;
+        },
+
+        /**
+         * Section labels and colours shown in the waveform, for the legend
+         */
+        waveformLegend() {
+            const legend = new Map();
+            for (const section of this.currentSections) {
+                if (!legend.has(section.type)) {
+                    legend.set(section.type, section.color);
+                }
+            }
+            return [...legend].map(([label, color]) => ({ label, color }));
+        },
+
+        /**
+         * Built-in brands followed by user-defined and imported remotes
+         */
+        brands() {
+            const brands = { ...TV_REMOTES };
+            for (const remote of this.userRemotes) {
+                brands['user-' + remote.id] = RemoteStore.toBrand(remote);
+            }
+            if (this.databaseBrand) {
+                brands['db-' + this.databaseBrand.database] = this.databaseBrand;
+            }
+            return brands;
+        },
+
+        /**
+         * Code sets matching the database search, or null until there is something to search for
+         */
+        databaseResults() {
+            if (!this.codeDatabase || (!this.databaseQuery.trim() && !this.databaseType)) return null;
+            return CodeDatabase.search(this.codeDatabase, this.databaseQuery, this.databaseType).slice(0, 20);
+        },
+
+        /**
+         * Whether exporting at the chosen sample rate puts the carrier above Nyquist
+         * The half-carrier driver only needs half the carrier on each channel
+         */
+        exportAliased() {
+            const channelFrequency = this.frequency * 1000 / (this.driver.mode === 'half-carrier' ? 2 : 1);
+            return channelFrequency > this.exportFormat.sampleRate / 2;
+        },
+
+        /**
+         * How the custom code reads and every equivalent notation, updated as it is typed
+         * @returns {Object|null} - parseNotation result with its notations, { error } for unreadable text, or null for raw and Pronto
+         */
+        customNotation() {
+            if (this.customProtocol === 'raw' || this.customProtocol === 'pronto' || !this.customCode.trim()) return null;
+
+            try {
+                const parsed = IRGenerator.parseNotation(this.customCode, this.customProtocol);
+                const notations = IRGenerator.codeNotations(parsed.protocol, parsed.code);
+
+                if (NEC_FRAMINGS.includes(parsed.protocol)) {
+                    const { frame, repeat } = this.irGenerator.necFrames(parsed.code, parsed.protocol);
+                    const prontoHex = IRGenerator.signalToProntoHex({ frames: [frame, repeat], carrierFrequency: this.frequency * 1000 });
+                    notations.push({ notation: 'pronto', name: 'Pronto Hex', text: prontoHex });
+                }
+
+                // The other reading of ambiguous hex, written so it cannot be misread
+                const alternative = parsed.alternative && {
+                    ...parsed.alternative,
+                    text: IRGenerator.codeNotations(parsed.protocol, parsed.alternative.code).find(entry => entry.notation === 'prefixed').text
+                };
+
+                return { ...parsed, notations, alternative };
+            } catch (error) {
+                return { error: error.message };
+            }
+        },
+
+        /**
+         * State mirrored in the URL hash
+         */
+        linkState() {
+            return {
+                brand: this.selectedBrand,
+                protocol: this.customProtocol,
+                code: this[this.customCodeField(this.customProtocol)],
+                frequency: this.frequency,
+                send: this.pendingSend
+            };
+        },
+
+        /**
+         * Bindings legend: every button of the selected remote, plus any other bound command, with its keys, gamepad buttons and media keys
+         */
+        bindingLegend() {
+            const commands = new Set([...Object.keys(BUTTON_ALIASES), ...Object.keys(this.currentBrand.codes)]);
+            const bound = (kind, command) => Object.keys(this.inputBindings[kind]).filter(input => this.inputBindings[kind][input] === command);
+
+            return [...commands]
+                .map(command => ({
+                    command,
+                    available: !!this.resolveCommand(this.currentBrand, command),
+                    keys: bound('keys', command),
+                    gamepad: bound('gamepad', command),
+                    media: bound('media', command)
+                }))
+                .filter(row => row.available || row.keys.length || row.gamepad.length || row.media.length);
+        },
+
+        /**
+         * Selected brand, falling back to the first brand if it was deleted
+         */
+        currentBrand() {
+            return this.brands[this.selectedBrand] || Object.values(this.brands)[0];
+        },
+
+        /**
+         * User remote open in the remote editor
+         */
+        editingRemote() {
+            return this.userRemotes.find(remote => remote.id === this.editingRemoteId) || null;
+        },
+
+        /**
+         * Macro open in the macro builder
+         */
+        editingMacro() {
+            return this.macros.find(macro => macro.id === this.editingMacroId) || null;
+        },
+
+        /**
+         * Share of the power sweep sent so far, in percent
+         */
+        sweepProgress() {
+            return this.sweep ? this.sweep.index / this.sweep.codes.length * 100 : 0;
+        },
+
+        /**
+         * One-line state of the power sweep
+         */
+        sweepStatus() {
+            const { codes, index, paused } = this.sweep;
+            if (index >= codes.length) return `Finished: sent all ${codes.length} power codes`;
+            if (!index) return `Starting ${codes.length} power codes...`;
+
+            const sent = `code ${index} of ${codes.length}: ${PowerSweep.label(codes[index - 1])}`;
+            return paused ? `Paused after ${sent}` : `Sent ${sent}`;
+        },
+
+        /**
+         * Share of the scan range sent so far, in percent
+         */
+        scanProgress() {
+            const { first, last, command, sent } = this.scanner;
+            return (command - first + (sent ? 1 : 0)) / (last - first + 1) * 100;
+        },
 
-        console.log('Browser Audio IR Blaster initialized');
-        console.log('Sample rate:', this.irGenerator.sampleRate);
-        console.log('Carrier frequency:', this.irGenerator.carrierFrequency / 1000, 'kHz');
+        /**
+         * Command at the scan cursor in address/command and MSB hex notation
+         */
+        scanCode() {
+            const { address, command } = this.scanner;
+            return `${this.formatHex(address, 2)}/${this.formatHex(command, 2)} (${IRGenerator.formatCode('nec', IRGenerator.necCode('nec', address, command))})`;
+        },
+
+        /**
+         * User remote that scan hits go to, or null if a new one is to be made
+         */
+        scanRemote() {
+            return this.userRemotes.find(remote => remote.id === this.scanner.remoteId) || null;
+        },
+
+        /**
+         * Commands available for the brand picked in the add-step form
+         */
+        newStepCommands() {
+            const brand = this.brands[this.newStep.brand];
+            return brand ? Object.keys(brand.codes) : [];
+        },
+
+        /**
+         * Buttons of the selected brand that have no place on the standard remote grid
+         */
+        extraButtons() {
+            return Object.keys(this.currentBrand.codes)
+                .filter(name => !BUTTON_ALIASES[name]);
+        }
     },
 
     watch: {
         frequency(newFreq) {
-            // Update IR generator when frequency changes
-            this.irGenerator = new IRGenerator(newFreq);
-            console.log('Carrier frequency updated to:', newFreq, 'kHz');
+            // Update the IR generator in place, so the RC5/RC6 toggle carries on across carrier changes
+            this.irGenerator.carrierFrequency = newFreq * 1000;
+        },
+
+        driver: {
+            deep: true,
+            handler(newDriver) {
+                // Apply the new driver to both the WAV output and the real-time transmitter
+                this.irGenerator.driver = { ...newDriver };
+                this.transmitter.setDriver(newDriver);
+            }
+        },
+
+        linkState(state) {
+            // Replace rather than push so the back button does not step through every edit
+            history.replaceState(null, '', location.pathname + location.search + DeepLink.format(state, this.linkDefaults));
+        },
+
+        inputBindings: {
+            deep: true,
+            handler(bindings) {
+                InputBindings.save(bindings);
+                this.applyMediaBindings();
+            }
+        },
+
+        'newStep.brand'() {
+            // Keep the add-step command valid for the newly picked remote
+            if (!this.newStepCommands.includes(this.newStep.command)) {
+                this.newStep.command = this.newStepCommands[0] || '';
+            }
         }
     },
 
     methods: {
         /**
          * Send a predefined IR command
+         * @param {string} commandName - Command of the selected brand
+         * @param {boolean} autoplay - Play through the audio player (false when a hold streams it instead)
+         * @returns {Object|null} - The generated signal, or null if nothing was sent
          */
-        sendCommand(commandName) {
+        sendCommand(commandName, autoplay = true) {
             try {
-                const brandCodes = this.brands[this.selectedBrand].codes;
-                const hexCode = brandCodes[commandName];
-                if (!hexCode) {
+                const brand = this.currentBrand;
+                const resolved = this.resolveCommand(brand, commandName);
+                if (!resolved) {
                     M.toast({ html: 'Command not found!', classes: 'red' });
-                    return;
+                    return null;
                 }
 
-                const brandName = this.brands[this.selectedBrand].name;
+                const { protocol, code } = resolved;
+                const brandName = brand.name;
                 this.lastCommand = commandName.toUpperCase();
-                const hexString = '0x' + hexCode.toString(16).toUpperCase();
-
-                console.log(`Sending ${brandName} command: ${commandName} (${hexString})`);
 
-                this.generateAndPlay(hexCode, `${brandName} ${commandName.toUpperCase()}`);
+                const signal = this.generateAndPlay(code, `${brandName} ${commandName.toUpperCase()}`, protocol, autoplay);
+                this.lastLink = { brand: this.selectedBrand, frequency: this.frequency, send: commandName };
 
                 M.toast({
                     html: `<i class="material-icons left">check</i>Sent: ${commandName}`,
                     classes: 'green'
                 });
 
+                return signal;
             } catch (error) {
                 console.error('Error sending command:', error);
                 M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+                return null;
             }
         },
 
         /**
-         * Send a custom IR command
+         * Data field holding the custom command text for a protocol
          */
-        sendCustomCommand() {
+        customCodeField(protocol) {
+            return { raw: 'customRaw', pronto: 'customPronto' }[protocol] || 'customCode';
+        },
+
+        /**
+         * Link state that sends the custom command as currently entered
+         */
+        customLink() {
+            // Pronto codes carry their own carrier
+            return {
+                protocol: this.customProtocol,
+                code: this[this.customCodeField(this.customProtocol)],
+                frequency: this.customProtocol === 'pronto' ? undefined : this.frequency,
+                send: 'custom'
+            };
+        },
+
+        /**
+         * Load the state from a URL hash; parameters missing from it go back to their initial values
+         * @param {string} hash - URL hash
+         * @param {boolean} databaseLoaded - Whether code database remotes have been looked up already
+         */
+        applyLink(hash, databaseLoaded = false) {
+            let state;
             try {
-                if (!this.customCode) {
-                    M.toast({ html: 'Please enter a command code!', classes: 'orange' });
+                const { brand, protocol, frequency } = this.linkDefaults;
+                state = { brand, protocol, frequency, ...DeepLink.parse(hash) };
+            } catch (error) {
+                console.warn('Ignoring link:', error);
+                M.toast({ html: 'Ignoring link: ' + error.message, classes: 'orange' });
+                return;
+            }
+
+            // Code database remotes appear once the database has loaded
+            if (!this.brands[state.brand] && state.brand.startsWith('db-') && !databaseLoaded) {
+                this.applyDatabaseLink(hash, state.brand.slice(3));
+                return;
+            }
+
+            // Remotes of your own only exist in the browser they were made in
+            if (!this.brands[state.brand]) {
+                M.toast({ html: `There is no "${state.brand}" remote in this browser`, classes: 'orange' });
+                state.brand = this.selectedBrand;
+                if (state.send !== 'custom') {
+                    delete state.send;
+                }
+            }
+
+            this.selectedBrand = state.brand;
+            this.customProtocol = state.protocol;
+            this.frequency = state.frequency;
+            if (state.code !== undefined) {
+                this[this.customCodeField(state.protocol)] = state.code;
+            }
+
+            this.cancelPendingSend();
+            if (state.send) {
+                if (state.send !== 'custom' && !this.resolveCommand(this.brands[state.brand], state.send)) {
+                    M.toast({ html: `${this.brands[state.brand].name} has no ${state.send} command`, classes: 'orange' });
                     return;
                 }
+                this.pendingSend = state.send;
+            }
+        },
 
-                this.lastCommand = this.customCode;
-                console.log(`Sending custom command: ${this.customCode}`);
+        /**
+         * Load the code set a link names from the database, then apply the link
+         * @param {string} hash - URL hash
+         * @param {string} id - Code set id
+         */
+        async applyDatabaseLink(hash, id) {
+            const sets = await this.loadCodeDatabase();
+            const set = sets && sets.find(entry => entry.id === id);
+            if (set) {
+                this.databaseBrand = CodeDatabase.toBrand(set);
+            }
+
+            this.applyLink(hash, true);
+            if (this.pendingSend) {
+                this.armPendingSend();
+            }
+        },
+
+        /**
+         * Apply a link opened in this tab
+         */
+        onHashChange() {
+            this.applyLink(location.hash);
+            if (this.pendingSend) {
+                this.armPendingSend();
+            }
+        },
+
+        /**
+         * Send the linked command on the first click, tap or key press
+         * Browsers only start audio after the user has interacted with the page; if they already have, it is sent straight away.
+         */
+        armPendingSend() {
+            if (navigator.userActivation && navigator.userActivation.hasBeenActive) {
+                this.firePendingSend();
+                return;
+            }
+
+            window.addEventListener('pointerdown', this.firePendingSend, true);
+            window.addEventListener('keydown', this.firePendingSend, true);
+
+            const label = this.pendingSend === 'custom' ? 'the custom command' : `${this.currentBrand.name} ${this.pendingSend.toUpperCase()}`;
+            M.toast({ html: `<i class="material-icons left">touch_app</i>Tap anywhere to send ${label}`, classes: 'blue' });
+        },
+
+        /**
+         * Send the linked command and stop waiting for interaction
+         */
+        firePendingSend() {
+            const command = this.pendingSend;
+            this.cancelPendingSend();
+
+            if (command === 'custom') {
+                this.sendCustomCommand();
+            } else if (command) {
+                this.sendCommand(command);
+            }
+        },
+
+        /**
+         * Forget the linked command without sending it
+         */
+        cancelPendingSend() {
+            this.pendingSend = null;
+            window.removeEventListener('pointerdown', this.firePendingSend, true);
+            window.removeEventListener('keydown', this.firePendingSend, true);
+        },
+
+        /**
+         * Copy a link that sends the last command to the clipboard
+         */
+        async copyLink() {
+            const url = DeepLink.url(this.lastLink, this.linkDefaults);
+            try {
+                await navigator.clipboard.writeText(url);
+                M.toast({ html: '<i class="material-icons left">link</i>Link copied!', classes: 'green' });
+            } catch (error) {
+                console.warn('Could not copy link:', error);
+                M.toast({ html: 'Could not copy the link: ' + url, classes: 'orange', displayLength: 10000 });
+            }
+        },
+
+        /**
+         * Register the service worker and watch for new versions of the app
+         * Service workers need a secure context, so pages opened from file:// keep loading everything from the network.
+         */
+        async registerServiceWorker() {
+            if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+            try {
+                const registration = await navigator.serviceWorker.register('service-worker.js');
+
+                // With no controller yet this is the first install; otherwise it is an update to offer
+                const installed = worker => {
+                    if (navigator.serviceWorker.controller) {
+                        this.updateWorker = worker;
+                    } else {
+                        M.toast({ html: '<i class="material-icons left">offline_pin</i>Ready to work offline', classes: 'green' });
+                    }
+                };
+
+                if (registration.waiting) {
+                    installed(registration.waiting);
+                }
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'installed') {
+                            installed(worker);
+                        }
+                    });
+                });
+            } catch (error) {
+                console.warn('Service worker unavailable, the app needs a network connection:', error);
+            }
+        },
+
+        /**
+         * Switch to the waiting version of the app and reload into it
+         */
+        applyUpdate() {
+            navigator.serviceWorker.addEventListener('controllerchange', () => location.reload(), { once: true });
+            this.updateWorker.postMessage({ type: 'skip-waiting' });
+        },
+
+        /**
+         * Hold a command from a key or gamepad button, like pressing the on-screen button
+         * @param {string} input - Input holding the command, e.g. 'key:ArrowUp' or 'pad:0:12'
+         * @param {string} command - Command of the selected brand
+         */
+        pressInput(input, command) {
+            this.heldInput = input;
+            this.startHold(command);
+        },
+
+        /**
+         * Release the command held by an input, if it still holds one
+         */
+        releaseInput(input) {
+            if (this.heldInput === input) {
+                this.heldInput = null;
+                this.stopHold();
+            }
+        },
 
-                // Parse hex code
-                let code = this.customCode.replace(/0x/i, '');
-                if (code.length !== 8) {
-                    throw new Error('Invalid hex code format. Expected 8 hex digits (e.g., 0x20DF10EF)');
+        onKeyDown(event) {
+            const key = InputBindings.keyName(event);
+
+            if (this.bindingCapture) {
+                event.preventDefault();
+                if (key === 'Escape') {
+                    this.bindingCapture = null;
+                } else {
+                    this.bindInput('keys', key);
                 }
+                return;
+            }
 
-                const fullCode = parseInt(code, 16);
-                this.generateAndPlay(fullCode, 'Custom: ' + this.customCode);
+            if (event.ctrlKey || event.metaKey || event.altKey || InputBindings.ownedByTarget(event)) return;
 
-                M.toast({
-                    html: '<i class="material-icons left">check</i>Custom command sent!',
-                    classes: 'green'
+            const command = this.inputBindings.keys[key];
+            if (!command || !this.resolveCommand(this.currentBrand, command)) return;
+
+            // Arrows, Page Up/Down and Backspace would otherwise scroll or navigate; auto-repeat is left to the hold
+            event.preventDefault();
+            if (!event.repeat) {
+                this.pressInput('key:' + key, command);
+            }
+        },
+
+        onKeyUp(event) {
+            this.releaseInput('key:' + InputBindings.keyName(event));
+        },
+
+        /**
+         * Start polling when a gamepad appears; the Gamepad API has no button events
+         */
+        onGamepadConnection() {
+            const gamepads = [...navigator.getGamepads()].filter(Boolean);
+            this.gamepadNames = gamepads.map(gamepad => gamepad.id);
+            if (gamepads.length && !this.gamepadFrame) {
+                this.pollGamepads();
+            }
+        },
+
+        /**
+         * Compare gamepad buttons with the last frame and press or release their commands
+         */
+        pollGamepads() {
+            const gamepads = [...navigator.getGamepads()].filter(Boolean);
+            if (!gamepads.length) {
+                this.gamepadFrame = null;
+                return;
+            }
+
+            for (const gamepad of gamepads) {
+                const previous = this.gamepadPressed[gamepad.index] || [];
+                gamepad.buttons.forEach((button, index) => {
+                    if (button.pressed === !!previous[index]) return;
+
+                    const input = `pad:${gamepad.index}:${index}`;
+                    const command = this.inputBindings.gamepad[index];
+                    if (!button.pressed) {
+                        this.releaseInput(input);
+                    } else if (this.bindingCapture) {
+                        this.bindInput('gamepad', String(index));
+                    } else if (command && this.resolveCommand(this.currentBrand, command)) {
+                        this.pressInput(input, command);
+                    }
                 });
+                this.gamepadPressed[gamepad.index] = gamepad.buttons.map(button => button.pressed);
+            }
 
-            } catch (error) {
-                console.error('Error sending custom command:', error);
-                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            this.gamepadFrame = requestAnimationFrame(this.pollGamepads);
+        },
+
+        /**
+         * Point the MediaSession actions at their bound commands
+         */
+        applyMediaBindings() {
+            if (!('mediaSession' in navigator)) return;
+
+            for (const action of Object.keys(MEDIA_ACTION_NAMES)) {
+                const command = this.inputBindings.media[action];
+                try {
+                    navigator.mediaSession.setActionHandler(action, command ? () => this.sendCommand(command) : null);
+                } catch (error) {
+                    console.warn(`Media action ${action} is not supported:`, error);
+                }
             }
         },
 
         /**
-         * Generate and play IR audio signal
+         * Bind a key or gamepad button to the command waiting in bindingCapture
+         * An input drives one command, so binding it again moves it.
+         * @param {string} kind - 'keys' or 'gamepad'
+         * @param {string} input - Key name or gamepad button index
+         */
+        bindInput(kind, input) {
+            this.inputBindings[kind] = { ...this.inputBindings[kind], [input]: this.bindingCapture };
+            M.toast({ html: `${InputBindings.label(kind, input)} sends ${this.bindingCapture}`, classes: 'green' });
+            this.bindingCapture = null;
+        },
+
+        unbindInput(kind, input) {
+            const bindings = { ...this.inputBindings[kind] };
+            delete bindings[input];
+            this.inputBindings[kind] = bindings;
+        },
+
+        inputLabel(kind, input) {
+            return InputBindings.label(kind, input);
+        },
+
+        resetBindings() {
+            this.inputBindings = InputBindings.defaults();
+            M.toast({ html: 'Controls reset to defaults', classes: 'green' });
+        },
+
+        /**
+         * Event listeners for a remote button: send on press, keep repeating while held
+         */
+        holdHandlers(commandName) {
+            return {
+                pointerdown: event => event.button === 0 && this.startHold(commandName),
+                pointerup: this.stopHold,
+                pointerleave: this.stopHold,
+                pointercancel: this.stopHold,
+                // Keyboard activation has no pointer events
+                click: event => event.detail === 0 && this.sendCommand(commandName),
+                contextmenu: event => event.preventDefault()
+            };
+        },
+
+        /**
+         * Press a remote button
+         * NEC-family commands stream their repeat frame every 108ms until the button is released,
+         * so the frame and the repeats are queued together on the transmitter (or the Web Audio clock).
+         */
+        startHold(commandName) {
+            this.stopHold();
+
+            const resolved = this.resolveCommand(this.currentBrand, commandName);
+            const holdable = resolved && NEC_FRAMINGS.includes(resolved.protocol);
+            const signal = this.sendCommand(commandName, !holdable);
+            if (!holdable || !signal) return;
+
+            if (this.streaming && this.transmitter.canCarry(signal.carrierFrequency)) {
+                const { repeat } = this.irGenerator.necFrames(resolved.code >>> 0, resolved.protocol);
+                this.transmitter.send(signal.frames, signal.carrierFrequency, repeat);
+                this.hold = { streaming: true };
+                return;
+            }
+
+            try {
+                const context = this.audioContext;
+                context.resume();
+
+                const sampleRate = this.irGenerator.sampleRate;
+                const loop = this.irGenerator.generateNECRepeatLoop(resolved.code >>> 0, resolved.protocol);
+
+                const press = context.createBufferSource();
+                press.buffer = this.irGenerator.createAudioBuffer(signal, context);
+                press.connect(context.destination);
+
+                const repeat = context.createBufferSource();
+                repeat.buffer = this.irGenerator.createAudioBuffer(loop, context);
+                repeat.loop = true;
+                repeat.connect(context.destination);
+
+                // The first repeat starts one frame period after the data frame
+                const start = context.currentTime + 0.02;
+                const loopStart = start + (signal.frameOffsets[0] + loop.left.length) / sampleRate;
+                press.start(start);
+                press.stop(loopStart);
+                repeat.start(loopStart);
+
+                this.hold = { repeat, loopStart, period: loop.left.length / sampleRate };
+            } catch (error) {
+                console.error('Error starting hold:', error);
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Release a held remote button, letting the current repeat frame finish
+         */
+        stopHold() {
+            if (!this.hold) return;
+
+            if (this.hold.streaming) {
+                this.transmitter.release();
+                this.hold = null;
+                return;
+            }
+
+            const { repeat, loopStart, period } = this.hold;
+            const elapsed = this.audioContext.currentTime - loopStart;
+            repeat.stop(loopStart + Math.max(0, Math.ceil(elapsed / period)) * period);
+            this.hold = null;
+        },
+
+        /**
+         * Look up a brand's command and the protocol to encode it with
+         * @returns {Object|null} - { protocol, code } or null if the brand has no such command
+         */
+        resolveCommand(brand, commandName) {
+            const entry = brand && brand.codes[commandName];
+            if (!entry) return null;
+
+            // Imported and user remotes store { protocol, code } per button since one remote can mix protocols
+            return entry.protocol
+                ? { protocol: entry.protocol, code: entry.code }
+                : { protocol: brand.protocol, code: entry };
+        },
+
+        /**
+         * Load the code database the first time it is searched
+         * @returns {Promise<Array<Object>|null>} - Code sets, or null if the database could not be loaded
+         */
+        async loadCodeDatabase() {
+            if (this.codeDatabase) return this.codeDatabase;
+
+            this.databaseLoading = true;
+            try {
+                this.codeDatabase = await CodeDatabase.load();
+            } catch (error) {
+                console.warn('Code database unavailable:', error);
+                M.toast({ html: error.message, classes: 'red' });
+            } finally {
+                this.databaseLoading = false;
+            }
+            return this.codeDatabase;
+        },
+
+        /**
+         * Load a code set from the database into the remote grid
+         * @param {Object} set - Code set from the search results
+         */
+        useDatabaseSet(set) {
+            this.databaseBrand = CodeDatabase.toBrand(set);
+            this.selectedBrand = 'db-' + set.id;
+            M.toast({ html: `<i class="material-icons left">check</i>Loaded ${this.databaseBrand.name}`, classes: 'green' });
+        },
+
+        /**
+         * Send a custom IR command
+         */
+        sendCustomCommand() {
+            try {
+                if (this.customProtocol === 'raw') {
+                    this.sendRawCommand();
+                    return;
+                }
+
+                if (this.customProtocol === 'pronto') {
+                    this.sendProntoCommand();
+                    return;
+                }
+
+                if (!this.customCode) {
+                    M.toast({ html: 'Please enter a command code!', classes: 'orange' });
+                    return;
+                }
+
+                this.lastCommand = this.customCode;
+
+                const { protocol, code } = IRGenerator.parseNotation(this.customCode, this.customProtocol);
+                this.generateAndPlay(code, 'Custom: ' + this.customCode, protocol);
+                this.lastLink = this.customLink();
+
+                M.toast({
+                    html: '<i class="material-icons left">check</i>Custom command sent!',
+                    classes: 'green'
+                });
+
+            } catch (error) {
+                console.error('Error sending custom command:', error);
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Send the raw mark/space timing list from the custom command panel
+         */
+        sendRawCommand() {
+            if (!this.customRaw.trim()) {
+                M.toast({ html: 'Please enter mark/space timings!', classes: 'orange' });
+                return;
+            }
+
+            const timings = IRGenerator.parseRawTimings(this.customRaw);
+            this.lastCommand = 'RAW';
+
+            this.generateAndPlay({ timings }, `Custom: Raw (${timings.length} durations)`, 'raw');
+            this.lastLink = this.customLink();
+
+            M.toast({
+                html: '<i class="material-icons left">check</i>Raw command sent!',
+                classes: 'green'
+            });
+        },
+
+        /**
+         * Send the Pronto hex code from the custom command panel
+         */
+        sendProntoCommand() {
+            if (!this.customPronto.trim()) {
+                M.toast({ html: 'Please enter a Pronto hex code!', classes: 'orange' });
+                return;
+            }
+
+            const pronto = IRGenerator.parseProntoHex(this.customPronto);
+            this.lastCommand = 'PRONTO';
+
+            this.generateAndPlay(pronto, 'Custom: Pronto', 'pronto');
+            this.lastLink = this.customLink();
+
+            M.toast({
+                html: '<i class="material-icons left">check</i>Pronto command sent!',
+                classes: 'green'
+            });
+        },
+
+        /**
+         * Import remote definition files chosen with the file picker
+         */
+        onImportFiles(event) {
+            this.importRemoteFiles(event.target.files);
+            event.target.value = '';
+        },
+
+        /**
+         * Import remote definition files dropped on the remote card
+         */
+        onDropFiles(event) {
+            this.dragOver = false;
+            this.importRemoteFiles(event.dataTransfer.files);
+        },
+
+        /**
+         * Parse Flipper Zero, LIRC or IRDB CSV files and add each remote as a new brand
+         */
+        async importRemoteFiles(files) {
+            for (const file of files) {
+                try {
+                    const remotes = RemoteImporter.parse(await file.text(), file.name);
+
+                    for (const remote of remotes) {
+                        const count = Object.keys(remote.codes).length;
+                        if (!count) {
+                            throw new Error(`No supported buttons in ${remote.name}`);
+                        }
+
+                        // Imported remotes keep the standard TV layout and are saved like user remotes
+                        const userRemote = RemoteStore.create(remote.name, 'standard');
+                        userRemote.buttons = Object.entries(remote.codes)
+                            .map(([name, entry]) => ({ name, protocol: entry.protocol, code: entry.code }));
+                        this.userRemotes.push(userRemote);
+                        this.saveUserRemotes();
+                        this.selectedBrand = 'user-' + userRemote.id;
+
+                        M.toast({
+                            html: `<i class="material-icons left">file_upload</i>Imported ${remote.name} (${count} buttons)`,
+                            classes: 'green'
+                        });
+                        if (remote.skipped.length) {
+                            console.warn(`Skipped unsupported signals in ${remote.name}:`, remote.skipped.join(', '));
+                            M.toast({ html: `Skipped ${remote.skipped.length} unsupported signals`, classes: 'orange' });
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error importing remote file:', error);
+                    M.toast({ html: `Error importing ${file.name}: ${error.message}`, classes: 'red' });
+                }
+            }
+        },
+
+        /**
+         * Persist user remotes to localStorage
+         */
+        saveUserRemotes() {
+            try {
+                RemoteStore.save(this.userRemotes);
+            } catch (error) {
+                console.error('Error saving user remotes:', error);
+                M.toast({ html: 'Could not save remotes: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Create a new user remote and open it in the editor
+         */
+        createRemote() {
+            const name = this.newRemoteName.trim();
+            if (!name) {
+                M.toast({ html: 'Please enter a remote name!', classes: 'orange' });
+                return;
+            }
+
+            const remote = RemoteStore.create(name);
+            this.userRemotes.push(remote);
+            this.saveUserRemotes();
+
+            this.newRemoteName = '';
+            this.editingRemoteId = remote.id;
+            this.selectedBrand = 'user-' + remote.id;
+        },
+
+        /**
+         * Delete the remote open in the editor
+         */
+        deleteRemote() {
+            const remote = this.editingRemote;
+            if (!remote || !confirm(`Delete remote "${remote.name}"?`)) return;
+
+            this.userRemotes = this.userRemotes.filter(r => r.id !== remote.id);
+            this.saveUserRemotes();
+
+            if (this.selectedBrand === 'user-' + remote.id) {
+                this.selectedBrand = 'lg';
+            }
+            this.editingRemoteId = null;
+
+            M.toast({ html: `Deleted ${remote.name}`, classes: 'green' });
+        },
+
+        /**
+         * Add a button to the remote open in the editor
+         */
+        addButton() {
+            const remote = this.editingRemote;
+            const name = this.newButton.name.trim();
+
+            try {
+                if (!name) {
+                    throw new Error('Please enter a button name');
+                }
+                if (remote.buttons.some(button => button.name === name)) {
+                    throw new Error(`${remote.name} already has a button named "${name}"`);
+                }
+
+                const code = IRGenerator.parseCode(this.newButton.protocol, this.newButton.code, this.frequency * 1000);
+                remote.buttons.push({ name, protocol: this.newButton.protocol, code });
+                this.saveUserRemotes();
+
+                this.newButton.name = '';
+                this.newButton.code = '';
+            } catch (error) {
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Remove a button from the remote open in the editor
+         */
+        removeButton(index) {
+            this.editingRemote.buttons.splice(index, 1);
+            this.saveUserRemotes();
+        },
+
+        /**
+         * Move a button earlier (-1) or later (+1) in the grid
+         */
+        moveButton(index, delta) {
+            const buttons = this.editingRemote.buttons;
+            const target = index + delta;
+            if (target < 0 || target >= buttons.length) return;
+
+            [buttons[index], buttons[target]] = [buttons[target], buttons[index]];
+            this.saveUserRemotes();
+        },
+
+        /**
+         * Format a button code for the remote editor
+         */
+        formatButtonCode(button) {
+            return IRGenerator.formatCode(button.protocol, button.code);
+        },
+
+        /**
+         * Persist macros to localStorage
+         */
+        saveMacros() {
+            try {
+                RemoteStore.saveMacros(this.macros);
+            } catch (error) {
+                console.error('Error saving macros:', error);
+                M.toast({ html: 'Could not save macros: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Create a new macro and open it in the macro builder
+         */
+        createMacro() {
+            const name = this.newMacroName.trim();
+            if (!name) {
+                M.toast({ html: 'Please enter a macro name!', classes: 'orange' });
+                return;
+            }
+
+            const macro = RemoteStore.createMacro(name);
+            this.macros.push(macro);
+            this.saveMacros();
+
+            this.newMacroName = '';
+            this.editingMacroId = macro.id;
+        },
+
+        /**
+         * Delete the macro open in the macro builder
+         */
+        deleteMacro() {
+            const macro = this.editingMacro;
+            if (!macro || !confirm(`Delete macro "${macro.name}"?`)) return;
+
+            this.macros = this.macros.filter(m => m.id !== macro.id);
+            this.saveMacros();
+            this.editingMacroId = null;
+        },
+
+        /**
+         * Append the add-step form's command to the macro
+         */
+        addMacroStep() {
+            const { brand, command, delay, repeat } = this.newStep;
+            if (!this.resolveCommand(this.brands[brand], command)) {
+                M.toast({ html: 'Please pick a command!', classes: 'orange' });
+                return;
+            }
+
+            this.editingMacro.steps.push({
+                brand,
+                command,
+                delay: Math.max(0, delay || 0),
+                repeat: Math.max(1, repeat || 1)
+            });
+            this.saveMacros();
+        },
+
+        /**
+         * Remove a step from the macro
+         */
+        removeMacroStep(index) {
+            this.editingMacro.steps.splice(index, 1);
+            this.saveMacros();
+        },
+
+        /**
+         * Move a macro step earlier (-1) or later (+1)
+         */
+        moveMacroStep(index, delta) {
+            const steps = this.editingMacro.steps;
+            const target = index + delta;
+            if (target < 0 || target >= steps.length) return;
+
+            [steps[index], steps[target]] = [steps[target], steps[index]];
+            this.saveMacros();
+        },
+
+        /**
+         * Display name of a brand key (macros may outlive a deleted remote)
+         */
+        brandName(key) {
+            return this.brands[key] ? this.brands[key].name : key;
+        },
+
+        /**
+         * Encode every press of a macro
+         * Each step is pressed `repeat` times, with `delay` ms of silence after every press
+         * @param {Object} macro - Macro as { name, steps }
+         * @param {boolean} detached - Alternate RC5/RC6 toggles from 0, for a file, instead of continuing the live remote's
+         * @returns {Object} - { presses, carriers (kHz) } with presses in the form renderSequence takes
+         */
+        macroPresses(macro, detached = false) {
+            if (!macro.steps.length) {
+                throw new Error('Add at least one step first');
+            }
+
+            const presses = [];
+            const carriers = new Set();
+            let toggle = 1;
+
+            macro.steps.forEach((step, index) => {
+                const resolved = this.resolveCommand(this.brands[step.brand], step.command);
+                if (!resolved) {
+                    throw new Error(`Step ${index + 1}: ${this.brandName(step.brand)} has no ${step.command} command`);
+                }
+
+                const toggles = detached && ['rc5', 'rc6'].includes(resolved.protocol);
+                for (let press = 0; press < step.repeat; press++) {
+                    const { signal, details } = this.buildSignal(resolved.code, resolved.protocol, toggles ? (toggle ^= 1) : undefined);
+                    presses.push({ frames: signal.frames, carrierFrequency: signal.carrierFrequency, delay: step.delay * 1000 });
+                    carriers.add(details.carrierFreq);
+                }
+            });
+
+            return { presses, carriers };
+        },
+
+        /**
+         * Command name a macro is played and saved under
+         * @param {Object} macro - Macro as { name, steps }
+         * @returns {string} - Command name, e.g. MACRO_MOVIE_NIGHT
+         */
+        macroCommand(macro) {
+            return 'MACRO_' + macro.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+        },
+
+        /**
+         * Render the macro into one continuous signal and play it
+         * @returns {boolean} - Whether the macro was rendered
+         */
+        runMacro() {
+            const macro = this.editingMacro;
+
+            try {
+                const { presses, carriers } = this.macroPresses(macro);
+                const signal = this.irGenerator.renderSequence(presses);
+
+                // Streamed presses run back to back, so each delay becomes an empty frame after its press
+                signal.parts = presses.map((press, index) => ({
+                    frames: index < presses.length - 1 ? [...press.frames, { timings: [], gap: press.delay }] : press.frames,
+                    carrierFrequency: press.carrierFrequency
+                }));
+                this.lastCommand = this.macroCommand(macro);
+
+                this.playSignal(signal, {
+                    hexCode: null,
+                    protocol: 'Macro',
+                    carrierFreq: [...carriers].join(' / '),
+                    totalBits: `${presses.length} presses in ${macro.steps.length} steps`,
+                    binarySections: []
+                }, `Macro: ${macro.name}`, 'macro');
+
+                return true;
+            } catch (error) {
+                console.error('Error running macro:', error);
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+                return false;
+            }
+        },
+
+        /**
+         * Render the macro and download it as a single WAV file, without playing it
+         */
+        downloadMacro() {
+            const macro = this.editingMacro;
+
+            try {
+                const { presses } = this.macroPresses(macro, true);
+                const generator = this.exportGenerator();
+                const signal = generator.renderSequence(presses);
+                this.saveFile(new Blob([generator.signalToWav(signal, this.exportFormat)], { type: 'audio/wav' }),
+                    `ir_command_${this.macroCommand(macro)}_${Date.now()}.wav`);
+            } catch (error) {
+                console.error('Error exporting macro:', error);
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+                return;
+            }
+
+            M.toast({
+                html: '<i class="material-icons left">download</i>Audio file downloaded!',
+                classes: 'green'
+            });
+        },
+
+        /**
+         * Remotes the power sweep tries: the built-in ones, then the TV code sets of the code database
+         * The sweep still runs on the built-in remotes if the database cannot be loaded.
+         * @returns {Promise<Object>} - Remotes by brand key
+         */
+        async sweepRemotes() {
+            const remotes = { ...TV_REMOTES };
+            const sets = await this.loadCodeDatabase();
+            for (const set of sets || []) {
+                if (set.type === 'tv') {
+                    remotes['db-' + set.id] = CodeDatabase.toBrand(set);
+                }
+            }
+            return remotes;
+        },
+
+        /**
+         * Start sending every known power code, one after another
+         */
+        async startSweep() {
+            this.stopSweep();
+            const remotes = await this.sweepRemotes();
+            this.sweep = { codes: PowerSweep.codes(remotes, this.sweepAllCarriers), remotes, index: 0, paused: false };
+            this.stepSweep();
+        },
+
+        /**
+         * Send the next sweep code and schedule the one after it once it has played and the delay has passed
+         */
+        stepSweep() {
+            const sweep = this.sweep;
+            if (!sweep || sweep.paused || sweep.index >= sweep.codes.length) return;
+
+            const signal = this.sendSweepCode(sweep.index);
+            sweep.index++;
+
+            if (sweep.index >= sweep.codes.length) {
+                M.toast({ html: 'Power sweep finished', classes: 'blue' });
+                return;
+            }
+            const duration = signal ? signal.left.length / this.irGenerator.sampleRate * 1000 : 0;
+            this.sweepTimer = setTimeout(this.stepSweep, duration + Math.max(0, this.sweepDelay));
+        },
+
+        /**
+         * Encode a sweep code on the carrier the sweep picked for it
+         * @param {Object} entry - Code from PowerSweep.codes()
+         * @returns {Object} - Signal samples and debug details, like buildSignal
+         */
+        buildSweepSignal(entry) {
+            const { signal, details } = this.buildSignal(entry.code, entry.protocol);
+            if (!entry.carrierFrequency) {
+                return { signal, details };
+            }
+            return {
+                signal: this.irGenerator.renderFrames(signal.frames, entry.carrierFrequency),
+                details: { ...details, carrierFreq: entry.carrierFrequency / 1000 }
+            };
+        },
+
+        /**
+         * Send one code of the sweep
+         * @param {number} index - Index of the code in the sweep
+         * @returns {Object|null} - Signal sent, or null if the code could not be encoded
+         */
+        sendSweepCode(index) {
+            const entry = this.sweep.codes[index];
+            try {
+                const { signal, details } = this.buildSweepSignal(entry);
+                this.lastCommand = 'POWER_SWEEP_' + (index + 1);
+                this.playSignal(signal, details, `Power sweep ${index + 1}/${this.sweep.codes.length}: ${PowerSweep.label(entry)}`, entry.protocol);
+                return signal;
+            } catch (error) {
+                console.warn('Skipping sweep code', PowerSweep.label(entry), error);
+                return null;
+            }
+        },
+
+        /**
+         * Hold the sweep after the code being sent
+         */
+        pauseSweep() {
+            clearTimeout(this.sweepTimer);
+            this.sweep.paused = true;
+        },
+
+        /**
+         * Carry on from the next code, e.g. after a false alarm
+         */
+        resumeSweep() {
+            this.sweep.paused = false;
+            this.sweepHit = null;
+            this.stepSweep();
+        },
+
+        /**
+         * Abandon the sweep
+         */
+        stopSweep() {
+            clearTimeout(this.sweepTimer);
+            this.sweep = null;
+            this.sweepHit = null;
+        },
+
+        /**
+         * Stop at the code that just switched the TV off
+         * It is the last one sent unless the TV took a moment to react, so the codes around it can be sent again to check.
+         */
+        sweepWorked() {
+            this.pauseSweep();
+            this.sweepHit = Math.max(0, this.sweep.index - 1);
+        },
+
+        /**
+         * Move the reported hit to a neighbouring code, or stay on it, and send that code again
+         * @param {number} offset - -1 for the code before, 0 for the same one, 1 for the code after
+         */
+        resendSweepHit(offset) {
+            this.sweepHit = Math.min(Math.max(this.sweepHit + offset, 0), this.sweep.codes.length - 1);
+            this.sendSweepCode(this.sweepHit);
+        },
+
+        /**
+         * Open the remote a working sweep code came from
+         * @param {string} key - Brand key of the remote
+         */
+        useSweepHit(key) {
+            if (key.startsWith('db-')) {
+                this.databaseBrand = this.sweep.remotes[key];
+            }
+            this.selectedBrand = key;
+            M.toast({ html: `<i class="material-icons left">check</i>Selected ${this.brands[key].name}`, classes: 'green' });
+            this.stopSweep();
+        },
+
+        /**
+         * Render the whole sweep into one WAV for playback from any audio player, noting where each code starts
+         */
+        async downloadSweep() {
+            try {
+                const codes = PowerSweep.codes(await this.sweepRemotes(), this.sweepAllCarriers);
+                const generator = this.exportGenerator();
+
+                // Like the live sweep, a code that can't be encoded is left out rather than failing the file
+                const presses = [];
+                const labels = [];
+                for (const entry of codes) {
+                    try {
+                        const { signal } = this.buildSignal(entry.code, entry.protocol, 0);
+                        const carrierFrequency = entry.carrierFrequency || signal.carrierFrequency;
+                        presses.push({ frames: signal.frames, carrierFrequency, delay: Math.max(0, this.sweepDelay) * 1000 });
+                        labels.push(PowerSweep.label(entry));
+                    } catch (error) {
+                        console.warn('Skipping sweep code', PowerSweep.label(entry), error);
+                    }
+                }
+                if (!presses.length) {
+                    throw new Error('None of the power codes could be encoded');
+                }
+
+                const signal = generator.renderSequence(presses);
+                const starts = signal.timeline.filter(entry => entry.type === 'lead');
+                this.sweepTimes = labels.map((label, index) => ({ time: starts[index].start / generator.sampleRate, label }));
+
+                this.saveFile(new Blob([generator.signalToWav(signal, this.exportFormat)], { type: 'audio/wav' }), `ir_power_sweep_${Date.now()}.wav`);
+                const skipped = codes.length - presses.length;
+                M.toast({
+                    html: `<i class="material-icons left">download</i>${presses.length} power codes downloaded` + (skipped ? ` (skipped ${skipped})` : ''),
+                    classes: skipped ? 'orange' : 'green'
+                });
+            } catch (error) {
+                console.error('Error rendering sweep:', error);
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Format a time in seconds as m:ss.s
+         */
+        formatSweepTime(seconds) {
+            return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+        },
+
+        /**
+         * Remember the scan position for the next visit
+         */
+        saveScanner() {
+            CodeScanner.save(this.scanner);
+        },
+
+        /**
+         * Change the scanned address or command range, starting the scan over at its first command
+         * @param {string} field - 'address', 'first' or 'last'
+         * @param {Event} event - Change event of the field, typed as decimal or 0x-prefixed hex
+         */
+        setScanField(field, event) {
+            try {
+                const value = CodeScanner.parseByte(event.target.value);
+                const range = { first: this.scanner.first, last: this.scanner.last, [field]: value };
+                if (range.first > range.last) {
+                    throw new Error('The first command of the range comes after the last one');
+                }
+
+                this.stopScan();
+                Object.assign(this.scanner, { [field]: value, command: range.first, sent: false });
+                this.saveScanner();
+            } catch (error) {
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            }
+            event.target.value = this.formatHex(this.scanner[field], 2);
+        },
+
+        /**
+         * Send a scanned NEC address and command
+         * @returns {Object|null} - Signal sent, or null if it could not be sent
+         */
+        sendScanCode(address, command) {
+            try {
+                const signal = this.irGenerator.generateNECCommand(address, command, this.tapRepeats);
+                const name = `${this.formatHex(address, 2)}/${this.formatHex(command, 2)}`;
+                this.lastCommand = 'SCAN_' + name.replace('/', '_');
+                this.playSignal(signal, this.necDetails(IRGenerator.necCode('nec', address, command)), `Scan ${name}`, 'nec');
+                return signal;
+            } catch (error) {
+                console.error('Error sending scan code:', error);
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+                return null;
+            }
+        },
+
+        /**
+         * Send the command at the scan cursor
+         * @returns {Object|null} - Signal sent
+         */
+        sendScanCommand() {
+            const signal = this.sendScanCode(this.scanner.address, this.scanner.command);
+            if (signal) {
+                this.scanner.sent = true;
+                this.saveScanner();
+            }
+            return signal;
+        },
+
+        /**
+         * Move the scan cursor and send the command there
+         * A scan that has sent nothing yet starts by sending the command at the cursor.
+         * @param {number} direction - 1 to step forward, -1 to go back
+         * @returns {Object|null} - Signal sent, or null at the end of the range
+         */
+        stepScan(direction = 1) {
+            if (direction > 0 && !this.scanner.sent) {
+                return this.sendScanCommand();
+            }
+
+            const command = CodeScanner.neighbour(this.scanner, direction);
+            if (command === null) {
+                M.toast({ html: direction > 0 ? 'End of the command range' : 'Start of the command range', classes: 'orange' });
+                return null;
+            }
+            this.scanner.command = command;
+            return this.sendScanCommand();
+        },
+
+        /**
+         * Pass over the command the next step would send, e.g. one known to switch the TV off
+         */
+        skipScan() {
+            const skipped = this.scanner.sent ? CodeScanner.neighbour(this.scanner, 1) : this.scanner.command;
+            const next = skipped === null ? null : CodeScanner.neighbour({ ...this.scanner, command: skipped }, 1);
+            if (next === null) {
+                M.toast({ html: 'End of the command range', classes: 'orange' });
+                return;
+            }
+
+            Object.assign(this.scanner, { command: next, sent: false });
+            this.saveScanner();
+            M.toast({ html: `Skipped ${this.formatHex(skipped, 2)}`, classes: 'blue' });
+        },
+
+        /**
+         * Go back to the first command of the range
+         */
+        restartScan() {
+            this.stopScan();
+            Object.assign(this.scanner, { command: this.scanner.first, sent: false });
+            this.saveScanner();
+        },
+
+        /**
+         * Step through the range on a timer until the end or until stopped
+         */
+        startAutoScan() {
+            this.scanning = true;
+            this.autoStepScan();
+        },
+
+        /**
+         * Send the next command and schedule the one after it once it has played and the delay has passed
+         */
+        autoStepScan() {
+            if (!this.scanning) return;
+
+            const signal = this.stepScan(1);
+            if (!signal || CodeScanner.neighbour(this.scanner, 1) === null) {
+                this.stopScan();
+                return;
+            }
+            const duration = signal.left.length / this.irGenerator.sampleRate * 1000;
+            this.scanTimer = setTimeout(this.autoStepScan, duration + Math.max(0, this.scanner.delay));
+        },
+
+        /**
+         * Stop auto-stepping, keeping the scan position
+         */
+        stopScan() {
+            clearTimeout(this.scanTimer);
+            this.scanning = false;
+        },
+
+        /**
+         * Save the command at the cursor as a button on the scanner's remote, making the remote on the first hit
+         */
+        markScanHit() {
+            this.stopScan();
+            const { address, command } = this.scanner;
+            const name = this.scanLabel.trim() || `${this.formatHex(address, 2)}/${this.formatHex(command, 2)}`;
+
+            try {
+                let remote = this.scanRemote;
+                if (remote && remote.buttons.some(button => button.name === name)) {
+                    throw new Error(`${remote.name} already has a button named "${name}"`);
+                }
+                if (!remote) {
+                    remote = RemoteStore.create(`Scan of address ${this.formatHex(address, 2)}`);
+                    this.userRemotes.push(remote);
+                    this.scanner.remoteId = remote.id;
+                }
+
+                remote.buttons.push({ name, protocol: 'nec', code: IRGenerator.necCode('nec', address, command) });
+                this.saveUserRemotes();
+                this.scanner.hits.push({ address, command, label: name });
+                this.saveScanner();
+                this.scanLabel = '';
+
+                M.toast({ html: `<i class="material-icons left">check</i>Saved ${name} to ${remote.name}`, classes: 'green' });
+            } catch (error) {
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Learn a code by recording an IR receiver or photodiode on the microphone/line input
+         */
+        async learnFromMicrophone() {
+            this.learning = true;
+
+            try {
+                M.toast({ html: 'Listening for 3 seconds. Press the remote button now!', classes: 'blue' });
+                const recording = await IRDecoder.recordInput(3000);
+                this.learnFromSamples(recording.samples, recording.sampleRate, 'Microphone');
+            } catch (error) {
+                console.error('Error learning:', error);
+                M.toast({ html: 'Learning failed: ' + error.message, classes: 'red' });
+            } finally {
+                this.learning = false;
+            }
+        },
+
+        /**
+         * Learn a code from an uploaded audio recording
+         */
+        async onLearnFile(event) {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+
+            this.learning = true;
+
+            try {
+                const { samples, sampleRate } = await this.readAudioFile(file);
+                this.learnFromSamples(samples, sampleRate, file.name);
+            } catch (error) {
+                console.error('Error learning:', error);
+                M.toast({ html: 'Learning failed: ' + error.message, classes: 'red' });
+            } finally {
+                this.learning = false;
+            }
+        },
+
+        /**
+         * Read the first channel of an audio file
+         * WAV files are parsed directly so they keep their own sample rate; other formats go through the browser's decoder
+         * @returns {Promise<Object>} - { samples, sampleRate }
+         */
+        async readAudioFile(file) {
+            const buffer = await file.arrayBuffer();
+            const header = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+
+            if (header === 'RIFF') {
+                const wav = IRDecoder.parseWav(buffer);
+                return { samples: wav.channels[0], sampleRate: wav.sampleRate };
+            }
+
+            const audioBuffer = await this.audioContext.decodeAudioData(buffer);
+            return { samples: audioBuffer.getChannelData(0), sampleRate: audioBuffer.sampleRate };
+        },
+
+        /**
+         * Demodulate and decode recorded samples into the learned code
+         */
+        learnFromSamples(samples, sampleRate, source) {
+            const { timings, modulated, carrierFrequency } = IRDecoder.demodulate(samples, sampleRate);
+            const decoded = IRDecoder.decode(timings, carrierFrequency);
+
+            this.learned = {
+                ...decoded,
+                source,
+                modulated,
+                carrierFrequency,
+                codeText: IRGenerator.formatCode(decoded.protocol, decoded.code)
+            };
+
+            if (!this.learnTarget.remoteId && this.userRemotes.length) {
+                this.learnTarget.remoteId = this.editingRemoteId || this.userRemotes[0].id;
+            }
+
+            M.toast({
+                html: `<i class="material-icons left">check</i>Learned ${this.buttonProtocols[decoded.protocol].name} code`,
+                classes: 'green'
+            });
+        },
+
+        /**
+         * Send the learned code
+         */
+        sendLearned() {
+            try {
+                this.lastCommand = 'LEARNED';
+                this.generateAndPlay(this.learned.code, 'Learned: ' + this.learned.codeText, this.learned.protocol);
+            } catch (error) {
+                console.error('Error sending learned code:', error);
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Load the learned code into the custom command panel
+         * NEC-family codes go in as MSB hex; other protocols as the captured raw timings
+         */
+        useLearnedAsCustom() {
+            const { protocol, code, timings, carrierFrequency } = this.learned;
+
+            if (NEC_FRAMINGS.includes(protocol)) {
+                this.customProtocol = protocol;
+                this.customCode = IRGenerator.formatCode(protocol, code);
+            } else {
+                this.customProtocol = 'raw';
+                this.customRaw = timings.map((duration, i) => (i % 2 === 0 ? '+' : '-') + duration).join(' ');
+                if (carrierFrequency) {
+                    this.frequency = carrierFrequency / 1000;
+                }
+            }
+
+            M.toast({ html: 'Loaded into Custom Command', classes: 'green' });
+        },
+
+        /**
+         * Save the learned code as a button on a user remote
+         */
+        saveLearnedToRemote() {
+            const remote = this.userRemotes.find(r => r.id === this.learnTarget.remoteId);
+            const name = this.learnTarget.name.trim();
+
+            try {
+                if (!remote) {
+                    throw new Error('Please pick a remote');
+                }
+                if (!name) {
+                    throw new Error('Please enter a button name');
+                }
+                if (remote.buttons.some(button => button.name === name)) {
+                    throw new Error(`${remote.name} already has a button named "${name}"`);
+                }
+
+                remote.buttons.push({ name, protocol: this.learned.protocol, code: this.learned.code });
+                this.saveUserRemotes();
+                this.learnTarget.name = '';
+
+                M.toast({ html: `<i class="material-icons left">check</i>Saved to ${remote.name}`, classes: 'green' });
+            } catch (error) {
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Use a calibration profile from now on and remember it for this device
+         */
+        applyCalibration(profile) {
+            this.calibration = profile;
+            this.irGenerator.timingCompensation = profile.timingCompensation;
+            this.transmitter.setTimingCompensation(profile.timingCompensation);
+        },
+
+        /**
+         * Play the calibration reference pattern through the speaker
+         */
+        playCalibrationReference() {
+            const source = this.audioContext.createBufferSource();
+            source.buffer = this.irGenerator.createAudioBuffer(Calibration.referenceSignal(this.driver), this.audioContext);
+            source.connect(this.audioContext.destination);
+            this.audioContext.resume();
+            source.start();
+        },
+
+        /**
+         * Calibrate by recording the reference pattern back through the microphone or line-in
+         */
+        async calibrateWithMicrophone() {
+            this.calibrating = true;
+
+            try {
+                const recording = await IRDecoder.recordInput(3500, () => this.playCalibrationReference());
+                const span = Calibration.measureRecording(recording.samples, recording.sampleRate);
+                const profile = Calibration.fromMeasuredSpan(span, 'microphone', this.irGenerator.sampleRate);
+
+                Calibration.save(profile);
+                this.applyCalibration(profile);
+
+                M.toast({
+                    html: `<i class="material-icons left">check</i>Calibrated: timing ×${profile.timingCompensation.toFixed(4)}`,
+                    classes: 'green'
+                });
+            } catch (error) {
+                console.error('Error calibrating:', error);
+                M.toast({ html: 'Calibration failed: ' + error.message, classes: 'red' });
+            } finally {
+                this.calibrating = false;
+            }
+        },
+
+        /**
+         * Calibrate from a span the user measured themselves, e.g. in an audio editor or on a scope
+         */
+        applyMeasuredSpan() {
+            try {
+                if (!this.measuredSpan) {
+                    throw new Error('Enter the measured span in milliseconds');
+                }
+
+                const profile = Calibration.fromMeasuredSpan(this.measuredSpan, 'manual', this.irGenerator.sampleRate);
+                Calibration.save(profile);
+                this.applyCalibration(profile);
+                this.measuredSpan = null;
+
+                M.toast({
+                    html: `<i class="material-icons left">check</i>Calibrated: timing ×${profile.timingCompensation.toFixed(4)}`,
+                    classes: 'green'
+                });
+            } catch (error) {
+                console.error('Error calibrating:', error);
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Forget this device's calibration
+         */
+        resetCalibration() {
+            this.applyCalibration(Calibration.clear());
+            M.toast({ html: 'Calibration reset', classes: 'blue' });
+        },
+
+        /**
+         * Format a number as a 0x-prefixed uppercase hex string
+         */
+        formatHex(value, digits) {
+            return '0x' + value.toString(16).toUpperCase().padStart(digits, '0');
+        },
+
+        /**
+         * Encode a remote code with the given protocol
+         * Exported files pass their own RC5/RC6 toggle bit, so they don't use up the live remote's next one.
+         * @param {number} toggle - RC5/RC6 toggle bit (optional, defaults to the live remote's next toggle)
+         * @returns {Object} - Signal samples and protocol-specific debug details
+         */
+        buildSignal(code, protocol, toggle) {
+            switch (protocol) {
+                case 'sirc':
+                    return this.buildSIRCSignal(code);
+                case 'rc5':
+                    return this.buildRC5Signal(code, toggle);
+                case 'rc6':
+                    return this.buildRC6Signal(code, toggle);
+                case 'raw':
+                    return this.buildRawSignal(code);
+                case 'pronto':
+                    return this.buildProntoSignal(code);
+                case 'nec':
+                case 'nec-extended':
+                case 'samsung32':
+                    return this.buildNECSignal(code, protocol);
+                default:
+                    throw new Error(`Unsupported protocol: ${protocol}`);
+            }
+        },
+
+        /**
+         * Encode a 32-bit NEC-family code (IRremote LSB layout), sending all 32 bits as given
+         */
+        buildNECSignal(code, framing = 'nec') {
+            const signal = this.irGenerator.generateNECCode(code >>> 0, framing, this.tapRepeats);
+            return { signal, details: this.necDetails(code, framing) };
+        },
+
+        /**
+         * Debug details of a 32-bit NEC-family code: its fields and the bits of each byte
+         */
+        necDetails(code, framing = 'nec') {
+            // Split hex code into transmitted bytes (NEC format: AA BB CC DD where AA=addr, BB=~addr, CC=cmd, DD=~cmd)
+            // Arduino IR library format: bits 0-7=Address, 8-15=~Address, 16-23=Command, 24-31=~Command
+            const [byte0, byte1, byte2, byte3] = [0, 8, 16, 24].map(shift => (code >>> shift) & 0xFF);
+            const extended = framing === 'nec-extended';
+            const address = extended ? (byte1 << 8) | byte0 : byte0;
+            const command = byte2;
+
+            // Generate binary strings
+            const binarySections = [];
+            if (extended) {
+                binarySections.push({ label: 'Address', bits: address.toString(2).padStart(16, '0'), color: '#2196F3', background: '#E3F2FD' });
+            } else {
+                binarySections.push(
+                    { label: 'Address', bits: byte0.toString(2).padStart(8, '0'), color: '#2196F3', background: '#E3F2FD' },
+                    { label: framing === 'samsung32' ? 'Address' : '~Address', bits: byte1.toString(2).padStart(8, '0'), color: '#FF9800', background: '#FFF3E0' }
+                );
+            }
+            binarySections.push(
+                { label: 'Command', bits: byte2.toString(2).padStart(8, '0'), color: '#4CAF50', background: '#E8F5E9' },
+                { label: '~Command', bits: byte3.toString(2).padStart(8, '0'), color: '#9C27B0', background: '#F3E5F5' }
+            );
+
+            const framings = {
+                'nec': { protocol: 'NEC Protocol', totalBits: '32 bits (Address + ~Address + Command + ~Command)' },
+                'nec-extended': { protocol: 'NEC Extended (16-bit address)', totalBits: '32 bits (16-bit Address + Command + ~Command)' },
+                'samsung32': { protocol: 'Samsung32', totalBits: '32 bits (Address + Address + Command + ~Command)' }
+            };
+
+            return {
+                hexCode: IRGenerator.formatCode(framing, code),
+                address: address,
+                addressHex: this.formatHex(address, extended ? 4 : 2),
+                command: command,
+                commandHex: this.formatHex(command, 2),
+                protocol: framings[framing].protocol,
+                carrierFreq: this.frequency,
+                totalBits: framings[framing].totalBits,
+                binarySections
+            };
+        },
+
+        /**
+         * Encode a Sony SIRC { device, command, bits, extended } code
+         */
+        buildSIRCSignal(code) {
+            const bits = code.bits || 12;
+            const extended = code.extended || 0;
+            const deviceBits = bits === 15 ? 8 : 5;
+            const signal = this.irGenerator.generateSIRCCommand(code.device, code.command, bits, extended);
+
+            // Packed frame value as transmitted LSB first: command, device, extended
+            const data = code.command | (code.device << 7) | (bits === 20 ? extended << 12 : 0);
+
+            const binarySections = [
+                { label: 'Command', bits: code.command.toString(2).padStart(7, '0'), color: '#4CAF50', background: '#E8F5E9' },
+                { label: 'Device', bits: code.device.toString(2).padStart(deviceBits, '0'), color: '#2196F3', background: '#E3F2FD' }
+            ];
+            if (bits === 20) {
+                binarySections.push({ label: 'Extended', bits: extended.toString(2).padStart(8, '0'), color: '#FF9800', background: '#FFF3E0' });
+            }
+
+            return {
+                signal,
+                details: {
+                    hexCode: this.formatHex(data, Math.ceil(bits / 4)),
+                    address: code.device,
+                    addressHex: this.formatHex(code.device, 2),
+                    command: code.command,
+                    commandHex: this.formatHex(code.command, 2),
+                    protocol: `Sony SIRC (${bits}-bit)`,
+                    carrierFreq: 40,
+                    totalBits: bits === 20
+                        ? '20 bits (Command + Device + Extended)'
+                        : `${bits} bits (Command + Device)`,
+                    binarySections
+                }
+            };
+        },
+
+        /**
+         * Encode a Philips RC5 { address, command } code
+         */
+        buildRC5Signal(code, toggle = this.irGenerator.nextToggle()) {
+            const signal = this.irGenerator.generateRC5Command(code.address, code.command, toggle);
+
+            return {
+                signal,
+                details: {
+                    hexCode: this.formatHex((toggle << 11) | ((code.address & 0x1F) << 6) | (code.command & 0x3F), 3),
+                    address: code.address,
+                    addressHex: this.formatHex(code.address, 2),
+                    command: code.command,
+                    commandHex: this.formatHex(code.command, 2),
+                    protocol: 'Philips RC5',
+                    carrierFreq: 36,
+                    totalBits: '14 bits (Start + Field + Toggle + Address + Command)',
+                    binarySections: [
+                        { label: 'Toggle', bits: String(toggle), color: '#666', background: '#EEEEEE' },
+                        { label: 'Address', bits: code.address.toString(2).padStart(5, '0'), color: '#2196F3', background: '#E3F2FD' },
+                        { label: 'Command', bits: code.command.toString(2).padStart(6, '0'), color: '#4CAF50', background: '#E8F5E9' }
+                    ]
+                }
+            };
+        },
+
+        /**
+         * Encode a Philips RC6 { address, command, mode } code
+         */
+        buildRC6Signal(code, toggle = this.irGenerator.nextToggle()) {
+            const mode = code.mode || 0;
+            const customer = code.customer === undefined ? 0x800F : code.customer;
+            const signal = this.irGenerator.generateRC6Command(code.address, code.command, mode, toggle, customer);
+
+            const binarySections = [
+                { label: 'Toggle', bits: String(toggle), color: '#666', background: '#EEEEEE' },
+                { label: 'Address', bits: code.address.toString(2).padStart(mode === 0 ? 8 : 7, '0'), color: '#2196F3', background: '#E3F2FD' },
+                { label: 'Command', bits: code.command.toString(2).padStart(8, '0'), color: '#4CAF50', background: '#E8F5E9' }
+            ];
+            if (mode === 6) {
+                binarySections.unshift({ label: 'Customer', bits: customer.toString(2).padStart(16, '0'), color: '#FF9800', background: '#FFF3E0' });
+            }
+
+            const hexCode = mode === 0
+                ? this.formatHex((code.address << 8) | code.command, 4)
+                : this.formatHex(((customer << 16) | (toggle << 15) | (code.address << 8) | code.command) >>> 0, 8);
+
+            return {
+                signal,
+                details: {
+                    hexCode,
+                    address: code.address,
+                    addressHex: this.formatHex(code.address, 2),
+                    command: code.command,
+                    commandHex: this.formatHex(code.command, 2),
+                    protocol: mode === 0 ? 'Philips RC6 (Mode 0)' : 'Philips RC6 (Mode 6A)',
+                    carrierFreq: 36,
+                    totalBits: mode === 0
+                        ? '16 bits (Address + Command), toggle in trailer bit'
+                        : '32 bits (Customer + Toggle + Address + Command)',
+                    binarySections
+                }
+            };
+        },
+
+        /**
+         * Encode a raw { timings, carrierFrequency } code (carrier in Hz, defaults to the selected carrier)
+         */
+        buildRawSignal(code) {
+            const timings = code.timings;
+            const carrierFrequency = code.carrierFrequency || this.frequency * 1000;
+            const signal = this.irGenerator.generateRawSignal(timings, carrierFrequency);
+            const marks = Math.ceil(timings.length / 2);
+            const totalUs = timings.reduce((sum, duration) => sum + duration, 0);
+
+            return {
+                signal,
+                details: {
+                    hexCode: null,
+                    protocol: 'Raw Timings',
+                    carrierFreq: carrierFrequency / 1000,
+                    totalBits: `${marks} marks, ${timings.length - marks} spaces (${(totalUs / 1000).toFixed(2)} ms)`,
+                    rawTimings: timings.map((duration, i) => (i % 2 === 0 ? '+' : '-') + Math.round(duration)).join(' '),
+                    binarySections: []
+                }
+            };
+        },
+
+        /**
+         * Encode a parsed Pronto code with its own carrier
+         */
+        buildProntoSignal(pronto) {
+            const signal = this.irGenerator.generateProntoSignal(pronto);
+            const timings = [...pronto.once, ...pronto.repeat];
+
+            return {
+                signal,
+                details: {
+                    hexCode: null,
+                    protocol: 'Pronto Hex (learned)',
+                    carrierFreq: (pronto.carrierFrequency / 1000).toFixed(1),
+                    totalBits: `${pronto.once.length / 2} once + ${pronto.repeat.length / 2} repeat burst pairs`,
+                    rawTimings: timings.map((duration, i) => (i % 2 === 0 ? '+' : '-') + Math.round(duration)).join(' '),
+                    binarySections: []
+                }
+            };
+        },
+
+        /**
+         * Generate and play IR audio signal
+         * @returns {Object} - The generated signal
+         */
+        generateAndPlay(code, commandName = 'Custom', protocol = 'nec', autoplay = true) {
+            // Generate IR signal
+            const { signal, details } = this.buildSignal(code, protocol);
+            this.playSignal(signal, details, commandName, protocol, autoplay);
+            return signal;
+        },
+
+        /**
+         * Open an audio file, e.g. a previously downloaded command, and show what it contains in the debug panel
+         */
+        async onOpenAudioFile(event) {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+
+            try {
+                const { samples, sampleRate } = await this.readAudioFile(file);
+                this.showRecording(samples, sampleRate, file.name);
+            } catch (error) {
+                console.error('Error opening audio file:', error);
+                M.toast({ html: 'Could not decode file: ' + error.message, classes: 'red' });
+            }
+        },
+
+        /**
+         * Decode a recording and show it in the debug panel with its section overlay
+         * The decoded code is regenerated so the recording can be compared with what this app sends today;
+         * the regenerated signal becomes the one to replay or download.
+         */
+        showRecording(samples, sampleRate, name) {
+            const demodulated = IRDecoder.demodulate(samples, sampleRate);
+            const decoded = IRDecoder.decode(demodulated.timings, demodulated.carrierFrequency);
+            const { signal, details } = this.buildSignal(decoded.code, decoded.protocol, 0);
+
+            this.lastSignal = signal;
+            this.lastLink = null;
+            this.lastCommand = 'DECODED';
+
+            this.debugInfo = {
+                commandName: 'File: ' + name,
+                ...details,
+                carrierFreq: demodulated.carrierFrequency ? demodulated.carrierFrequency / 1000 : details.carrierFreq,
+                sampleRate: sampleRate.toLocaleString(),
+                duration: (samples.length / sampleRate * 1000).toFixed(2),
+                rawTimings: decoded.timings.map((duration, i) => (i % 2 === 0 ? '+' : '-') + duration).join(' '),
+                comparison: this.compareTimings(decoded.timings, signal.frames[0].timings, decoded.protocol),
+                prontoHex: null
+            };
+
+            const startMs = demodulated.start / sampleRate * 1000;
+            this.currentSignal = samples;
+            this.currentSampleRate = sampleRate;
+            this.currentSections = this.recordingSections(decoded.frameTimings, startMs, details.binarySections);
+            this.currentProtocol = decoded.protocol;
+            this.currentAddress = details.address;
+            this.currentCommand = details.command;
+            this.waveformZoom = 1;
+            this.waveformOffset = Math.max(0, startMs - 5);
+            this.waveformCursors = [];
+
+            this.$nextTick(() => {
+                this.drawWaveform();
+            });
+
+            M.toast({
+                html: `<i class="material-icons left">check</i>${name}: ${details.protocol} ${IRGenerator.formatCode(decoded.protocol, decoded.code)}`,
+                classes: 'green'
+            });
+        },
+
+        /**
+         * Describe how recovered timings differ from freshly generated ones
+         */
+        compareTimings(recovered, generated, protocol) {
+            if (recovered.length !== generated.length) {
+                // Bi-phase frames merge equal neighbouring half-bits, so a different toggle bit changes the count
+                const note = ['rc5', 'rc6'].includes(protocol) ? '; the toggle bit flips on every press' : '';
+                return `Differs from a freshly generated frame (${recovered.length} vs ${generated.length} durations${note})`;
+            }
+
+            const deviation = Math.max(...recovered.map((duration, i) => Math.abs(duration - generated[i])));
+            const stretch = recovered.reduce((sum, d) => sum + d, 0) / generated.reduce((sum, d) => sum + d, 0);
+            return `Matches a freshly generated frame: max deviation ${Math.round(deviation)} µs, timing ×${stretch.toFixed(4)}`;
+        },
+
+        /**
+         * Build overlay sections from the frames found in a recording
+         * Pulse-distance frames (NEC family, SIRC) are split into the binary sections of the decoded code;
+         * other frames are labelled as a whole
+         * @param {Array<Object>} frames - Frames as { offset, timings } in µs from the first mark
+         * @param {number} startMs - Time of the first mark in the recording
+         * @param {Array<Object>} binarySections - Binary sections of the decoded code, in transmission order
+         */
+        recordingSections(frames, startMs, binarySections) {
+            const bitCounts = binarySections.map(section => section.bits.length);
+            const totalBits = bitCounts.reduce((sum, bits) => sum + bits, 0);
+            const sections = [];
+
+            frames.forEach((frame, index) => {
+                const timings = frame.timings;
+                let time = startMs + frame.offset / 1000;
+                let position = 0;
+                const add = (type, color, count) => {
+                    const duration = timings.slice(position, position + count).reduce((sum, d) => sum + d, 0) / 1000;
+                    sections.push({ start: time, end: time + duration, type, color });
+                    time += duration;
+                    position += count;
+                };
+
+                // NEC family: header mark and space, a mark and space per bit, stop mark
+                // SIRC: header mark, a space and mark per bit
+                const header = totalBits && timings.length === totalBits * 2 + 3 ? 2
+                    : totalBits && timings.length === totalBits * 2 + 1 ? 1 : 0;
+                if (!header) {
+                    add(index === 0 ? 'Frame' : 'Repeat', index === 0 ? '#667eea' : '#666', timings.length);
+                    return;
+                }
+
+                add(header === 2 ? 'AGC' : 'Header', '#666', header);
+                binarySections.forEach((section, i) => add(section.label, section.color, bitCounts[i] * 2));
+                if (position < timings.length) {
+                    add('Stop', '#666', timings.length - position);
+                }
+            });
+
+            return sections;
+        },
+
+        /**
+         * Play a generated signal and show it in the debug panel
+         * With autoplay off the signal is only shown, for replay and download
          */
-        generateAndPlay(hexCode, commandName = 'Custom') {
-            // Extract address and command from hex code (NEC format: AA BB CC DD where AA=addr, BB=~addr, CC=cmd, DD=~cmd)
-            // Arduino IR library format: bits 0-7=Address, 8-15=~Address, 16-23=Command, 24-31=~Command
-            const address = hexCode & 0xFF;
-            const command = (hexCode >> 16) & 0xFF;
-
-            console.log(`Address: 0x${address.toString(16).toUpperCase()}, Command: 0x${command.toString(16).toUpperCase()}`);
-
-            // Generate IR signal
-            const signal = this.irGenerator.generateNECCommand(address, command);
-            const audioBuffer = this.irGenerator.createAudioBuffer(signal);
-            this.audioBlob = this.irGenerator.audioBufferToWav(audioBuffer);
+        playSignal(signal, details, commandName, protocol, autoplay = true) {
+            this.lastSignal = signal;
+            this.lastLink = null;
 
             // Calculate duration in milliseconds
-            const duration = (signal.length / this.irGenerator.sampleRate * 1000).toFixed(2);
-
-            // Generate binary strings
-            const addressInv = (~address) & 0xFF;
-            const commandInv = (~command) & 0xFF;
+            const duration = (signal.left.length / this.irGenerator.sampleRate * 1000).toFixed(2);
 
             // Update debug information
             this.debugInfo = {
                 commandName: commandName,
-                hexCode: '0x' + hexCode.toString(16).toUpperCase().padStart(8, '0'),
-                address: address,
-                addressHex: '0x' + address.toString(16).toUpperCase().padStart(2, '0'),
-                command: command,
-                commandHex: '0x' + command.toString(16).toUpperCase().padStart(2, '0'),
-                protocol: 'NEC Protocol',
-                carrierFreq: this.frequency,
+                ...details,
                 sampleRate: this.irGenerator.sampleRate.toLocaleString(),
                 duration: duration,
-                binaryAddress: address.toString(2).padStart(8, '0'),
-                binaryAddressInv: addressInv.toString(2).padStart(8, '0'),
-                binaryCommand: command.toString(2).padStart(8, '0'),
-                binaryCommandInv: commandInv.toString(2).padStart(8, '0')
+                prontoHex: signal.frames ? IRGenerator.signalToProntoHex(signal) : null
             };
 
+            if (autoplay) {
+                this.transmit(signal);
+            }
+
+            // Store signal data for visualization (use left channel)
+            this.currentSignal = signal.left;
+            this.currentSampleRate = this.irGenerator.sampleRate;
+            this.currentSections = signal.timeline ? this.timelineSections(signal.timeline) : [];
+            this.currentProtocol = protocol;
+            this.currentAddress = details.address;
+            this.currentCommand = details.command;
+            this.waveformZoom = 1;
+            this.waveformCursors = [];
+
+            // Open the view just before the warm-up burst rather than on the lead-in silence
+            const warmup = this.currentSections.find(section => section.type === TIMELINE_STYLES.warmup.label);
+            this.waveformOffset = warmup ? Math.max(0, warmup.start - 2) : 0;
+
+            // Draw signal waveform visualization
+            this.$nextTick(() => {
+                this.drawWaveform();
+            });
+        },
+
+        /**
+         * Send a signal out of the speaker
+         * Queues its frames on the real-time transmitter when it is running, otherwise
+         * encodes a WAV and plays it through the audio player.
+         */
+        transmit(signal) {
+            // Macros carry their presses as parts, each with its own carrier
+            const parts = signal.parts || (signal.frames ? [signal] : null);
+            if (this.streaming && parts && parts.every(part => this.transmitter.canCarry(part.carrierFrequency))) {
+                for (const part of parts) {
+                    this.transmitter.send(part.frames, part.carrierFrequency);
+                }
+                return;
+            }
+
+            const audioBuffer = this.irGenerator.createAudioBuffer(signal, this.audioContext);
+            const audioBlob = this.irGenerator.audioBufferToWav(audioBuffer);
+
             // Create audio URL
             if (this.audioUrl) {
                 URL.revokeObjectURL(this.audioUrl);
             }
-            this.audioUrl = URL.createObjectURL(this.audioBlob);
+            this.audioUrl = URL.createObjectURL(audioBlob);
 
             // Set audio source and play
             const audioPlayer = this.$refs.audioPlayer;
             audioPlayer.src = this.audioUrl;
 
-            // Auto-play the audio
             audioPlayer.play().catch(error => {
                 console.warn('Auto-play prevented:', error);
                 M.toast({
@@ -171,33 +2343,40 @@ createApp({
                     classes: 'blue'
                 });
             });
+        },
 
-            // Store signal data for visualization (use left channel)
-            this.currentSignal = signal.left;
-            this.currentAddress = address;
-            this.currentCommand = command;
-            this.waveformZoom = 1;
-            this.waveformOffset = 0;
+        /**
+         * Size and plot area of the waveform canvas
+         */
+        waveformLayout() {
+            const width = this.$refs.waveformCanvas.offsetWidth;
+            const height = 200;
+            const margin = { left: 50, right: 20, top: 20, bottom: 30 };
+            return {
+                width,
+                height,
+                margin,
+                plotWidth: width - margin.left - margin.right,
+                plotHeight: height - margin.top - margin.bottom
+            };
+        },
 
-            // Draw signal waveform visualization
-            this.$nextTick(() => {
-                this.drawWaveform();
-            });
+        /**
+         * Length of the visible waveform window in ms
+         */
+        waveformWindowMs() {
+            return WAVEFORM_WINDOW / this.waveformZoom;
         },
 
         /**
-         * Draw IR signal waveform on canvas with color coding and zoom
+         * Draw IR signal waveform on canvas with color coding, zoom and measurement cursors, and the overview minimap
          */
         drawWaveform() {
             const canvas = this.$refs.waveformCanvas;
             if (!canvas || !this.currentSignal) return;
 
             const ctx = canvas.getContext('2d');
-            const width = canvas.offsetWidth;
-            const height = 200;
-            const margin = { left: 50, right: 20, top: 20, bottom: 30 };
-            const plotWidth = width - margin.left - margin.right;
-            const plotHeight = height - margin.top - margin.bottom;
+            const { width, height, margin, plotWidth, plotHeight } = this.waveformLayout();
 
             // Set canvas resolution
             canvas.width = width;
@@ -208,21 +2387,19 @@ createApp({
             ctx.fillRect(0, 0, width, height);
 
             const signal = this.currentSignal;
-            const samplesPerMs = this.irGenerator.sampleRate / 1000;
+            const samplesPerMs = this.currentSampleRate / 1000;
 
             // Calculate visible window with zoom and offset
-            const baseWindow = 70; // Show 70ms by default
-            const windowMs = baseWindow / this.waveformZoom;
+            const windowMs = this.waveformWindowMs();
             const totalMs = (signal.length / samplesPerMs);
             const startMs = this.waveformOffset;
             const endMs = Math.min(startMs + windowMs, totalMs);
+            const toX = ms => margin.left + ((ms - startMs) / windowMs) * plotWidth;
 
             const startSample = Math.floor(startMs * samplesPerMs);
             const endSample = Math.floor(endMs * samplesPerMs);
-            const samplesToShow = endSample - startSample;
 
-            // Calculate timing for NEC protocol sections
-            const timings = this.calculateNECTimings();
+            const timings = this.currentSections;
 
             // Draw Y-axis voltage labels and grid
             ctx.strokeStyle = '#e0e0e0';
@@ -265,95 +2442,373 @@ createApp({
 
                 ctx.fillStyle = '#666';
                 ctx.textAlign = 'center';
-                ctx.fillText(timeMs.toFixed(1) + 'ms', x, height - 10);
+                ctx.fillText(timeMs.toFixed(windowMs < 5 ? 3 : 1) + 'ms', x, height - 10);
             }
 
-            // Draw color-coded waveform by section
-            const samplesPerPixel = samplesToShow / plotWidth;
+            // Draw color-coded waveform by section, clipped to the plot area
+            const samplesPerPixel = windowMs * samplesPerMs / plotWidth;
+            const centerY = margin.top + plotHeight / 2; // 0V position at center
+            const toY = value => centerY - (value / voltageRange) * (plotHeight / 2);
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(margin.left, margin.top, plotWidth, plotHeight);
+            ctx.clip();
+
+            // Zoomed in past one sample per pixel: draw every sample as a step, with a dot once there is room
+            if (samplesPerPixel < 1) {
+                for (let i = startSample; i <= endSample && i < signal.length; i++) {
+                    const section = this.getSignalSection(i / samplesPerMs, timings);
+                    const x1 = toX(i / samplesPerMs);
+                    const x2 = toX((i + 1) / samplesPerMs);
+                    const y = toY(signal[i]);
+
+                    ctx.strokeStyle = section.color;
+                    ctx.lineWidth = 1.5;
+                    ctx.beginPath();
+                    ctx.moveTo(x1, i > 0 ? toY(signal[i - 1]) : y);
+                    ctx.lineTo(x1, y);
+                    ctx.lineTo(x2, y);
+                    ctx.stroke();
+
+                    if (x2 - x1 >= 6) {
+                        ctx.fillStyle = section.color;
+                        ctx.fillRect(x1 - 1.5, y - 1.5, 3, 3);
+                    }
+                }
+            } else {
+                for (let x = 0; x < plotWidth; x++) {
+                    const sampleIndex = startSample + Math.floor(x * samplesPerPixel);
+                    if (sampleIndex >= signal.length) break;
+
+                    const timeMs = (sampleIndex / samplesPerMs);
+                    const section = this.getSignalSection(timeMs, timings);
+
+                    // Set color based on section
+                    ctx.strokeStyle = section.color;
+                    ctx.lineWidth = 1.5;
+
+                    // Get min and max values in this pixel's range to show waveform envelope
+                    let minVal = 0;
+                    let maxVal = 0;
+                    for (let i = 0; i < samplesPerPixel && sampleIndex + i < signal.length; i++) {
+                        const sample = signal[sampleIndex + i];
+                        minVal = Math.min(minVal, sample);
+                        maxVal = Math.max(maxVal, sample);
+                    }
+
+                    // Convert to screen coordinates (bipolar: 0V at center, ±voltageRange at top/bottom)
+                    const yMax = toY(maxVal); // Top of waveform
+                    const yMin = toY(minVal); // Bottom of waveform
+
+                    const plotX = margin.left + x;
+
+                    // Draw vertical line from min to max to show voltage range at this time
+                    ctx.beginPath();
+                    ctx.moveTo(plotX, yMax);
+                    ctx.lineTo(plotX, yMin);
+                    ctx.stroke();
+                }
+            }
 
-            for (let x = 0; x < plotWidth; x++) {
-                const sampleIndex = startSample + Math.floor(x * samplesPerPixel);
-                if (sampleIndex >= signal.length) break;
+            this.drawCursors(ctx, toX, margin, plotWidth, plotHeight);
+            ctx.restore();
+
+            // Draw axis borders
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+
+            // Draw section labels at top
+            ctx.font = 'bold 11px Arial';
+            this.drawSectionLabels(ctx, timings, startMs, endMs, margin, plotWidth);
 
-                const timeMs = (sampleIndex / samplesPerMs);
-                const section = this.getSignalSection(timeMs, timings);
+            this.drawMinimap();
+        },
 
-                // Set color based on section
-                ctx.strokeStyle = section.color;
-                ctx.lineWidth = 1.5;
+        /**
+         * Draw the measurement cursors and shade the span between them
+         */
+        drawCursors(ctx, toX, margin, plotWidth, plotHeight) {
+            const [a, b] = this.waveformCursors.map(toX);
+
+            if (b !== undefined) {
+                ctx.fillStyle = 'rgba(233, 30, 99, 0.08)';
+                ctx.fillRect(Math.min(a, b), margin.top, Math.abs(b - a), plotHeight);
+            }
+
+            ctx.font = 'bold 11px Arial';
+            ctx.textAlign = 'left';
+            [a, b].forEach((x, i) => {
+                if (x === undefined || x < margin.left || x > margin.left + plotWidth) return;
+
+                ctx.strokeStyle = '#E91E63';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(x, margin.top);
+                ctx.lineTo(x, margin.top + plotHeight);
+                ctx.stroke();
+
+                ctx.fillStyle = '#E91E63';
+                ctx.fillText('AB'[i], x + 3, margin.top + plotHeight - 4);
+            });
+        },
+
+        /**
+         * Draw the whole signal in the minimap with the visible window and cursors marked
+         */
+        drawMinimap() {
+            const canvas = this.$refs.minimapCanvas;
+            if (!canvas || !this.currentSignal) return;
+
+            const ctx = canvas.getContext('2d');
+            const { margin } = this.waveformLayout();
+            const width = canvas.offsetWidth;
+            const height = 40;
+            const plotWidth = width - margin.left - margin.right;
+
+            canvas.width = width;
+            canvas.height = height;
+            ctx.fillStyle = '#fafafa';
+            ctx.fillRect(0, 0, width, height);
 
-                // Get min and max values in this pixel's range to show waveform envelope
-                let minVal = 0;
-                let maxVal = 0;
-                for (let i = 0; i < samplesPerPixel && sampleIndex + i < signal.length; i++) {
-                    const sample = signal[sampleIndex + i];
-                    minVal = Math.min(minVal, sample);
-                    maxVal = Math.max(maxVal, sample);
+            const signal = this.currentSignal;
+            const samplesPerMs = this.currentSampleRate / 1000;
+            const totalMs = signal.length / samplesPerMs;
+            const toX = ms => margin.left + (ms / totalMs) * plotWidth;
+            const samplesPerPixel = signal.length / plotWidth;
+
+            // Peak level of every pixel's samples, coloured by section
+            ctx.lineWidth = 1;
+            for (let x = 0; x < plotWidth; x++) {
+                const first = Math.floor(x * samplesPerPixel);
+                const last = Math.min(signal.length, Math.floor((x + 1) * samplesPerPixel));
+                let peak = 0;
+                for (let i = first; i < last; i++) {
+                    peak = Math.max(peak, Math.abs(signal[i]));
                 }
 
-                // Convert to screen coordinates (bipolar: 0V at center, ±voltageRange at top/bottom)
-                const centerY = margin.top + plotHeight / 2; // 0V position at center
-                const yMax = centerY - (maxVal / voltageRange) * (plotHeight / 2); // Top of waveform
-                const yMin = centerY - (minVal / voltageRange) * (plotHeight / 2); // Bottom of waveform
+                ctx.strokeStyle = this.getSignalSection(first / samplesPerMs, this.currentSections).color;
+                ctx.beginPath();
+                ctx.moveTo(margin.left + x, height / 2 - peak * (height / 2 - 2));
+                ctx.lineTo(margin.left + x, height / 2 + peak * (height / 2 - 2));
+                ctx.stroke();
+            }
 
-                const plotX = margin.left + x;
+            // Visible window
+            const x1 = toX(this.waveformOffset);
+            const x2 = toX(Math.min(this.waveformOffset + this.waveformWindowMs(), totalMs));
+            ctx.fillStyle = 'rgba(102, 126, 234, 0.2)';
+            ctx.fillRect(x1, 0, Math.max(x2 - x1, 2), height);
+            ctx.strokeStyle = '#667eea';
+            ctx.strokeRect(x1, 0.5, Math.max(x2 - x1, 2), height - 1);
 
-                // Draw vertical line from min to max to show voltage range at this time
+            ctx.strokeStyle = '#E91E63';
+            for (const cursor of this.waveformCursors) {
                 ctx.beginPath();
-                ctx.moveTo(plotX, yMax);
-                ctx.lineTo(plotX, yMin);
+                ctx.moveTo(toX(cursor), 0);
+                ctx.lineTo(toX(cursor), height);
                 ctx.stroke();
             }
+        },
 
-            // Draw axis borders
-            ctx.strokeStyle = '#333';
-            ctx.lineWidth = 2;
-            ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+        /**
+         * Describe the signal at a point: the section or bit there and the burst and carrier around it
+         * @returns {Object} - { timeMs, section, burstUs, frequency, dutyCycle }; burst fields are null in silence
+         */
+        inspectWaveform(timeMs) {
+            const sampleRate = this.currentSampleRate;
+            const section = this.getSignalSection(timeMs, this.currentSections);
+            const carrier = IRDecoder.measureCarrier(this.currentSignal, sampleRate, Math.floor(timeMs * sampleRate / 1000));
+
+            return {
+                timeMs,
+                section: section.value !== undefined ? `${section.type} bit ${section.bit} = ${section.value}`
+                    : section.type === 'Unknown' ? '' : section.type,
+                burstUs: carrier ? (carrier.end - carrier.start + 1) / sampleRate * 1000000 : null,
+                frequency: carrier ? carrier.frequency : null,
+                dutyCycle: carrier ? carrier.dutyCycle : null
+            };
+        },
 
-            // Draw section labels at top
-            ctx.font = 'bold 11px Arial';
-            this.drawSectionLabels(ctx, timings, startMs, endMs, margin, plotWidth);
+        /**
+         * Format an inspected point for the measurement readout
+         */
+        formatWaveformPoint(point) {
+            const parts = [point.timeMs.toFixed(3) + ' ms'];
+            if (point.section) {
+                parts.push(point.section);
+            }
+            if (point.burstUs !== null) {
+                parts.push(`burst ${point.burstUs.toFixed(1)} µs`);
+            }
+            if (point.frequency) {
+                parts.push(`carrier ${(point.frequency / 1000).toFixed(2)} kHz, ${(point.dutyCycle * 100).toFixed(0)}% duty`);
+            }
+            return parts.join(' · ');
         },
 
         /**
-         * Calculate NEC protocol timing sections
+         * Time in ms under a pointer event on the waveform canvas
          */
-        calculateNECTimings() {
-            const agcStart = 0;
-            const agcEnd = 13.5; // 9ms pulse + 4.5ms space
+        waveformTimeAt(event) {
+            const { margin, plotWidth } = this.waveformLayout();
+            const x = Math.min(Math.max(event.offsetX - margin.left, 0), plotWidth);
+            return this.waveformOffset + (x / plotWidth) * this.waveformWindowMs();
+        },
 
-            let currentTime = agcEnd;
-            const bitTime = 2.25; // ~562.5µs pulse + space (avg)
+        /**
+         * Zoom the waveform, keeping the time at anchorMs in place on screen
+         */
+        zoomWaveform(factor, anchorMs = this.waveformOffset + this.waveformWindowMs() / 2) {
+            const fraction = (anchorMs - this.waveformOffset) / this.waveformWindowMs();
+            this.waveformZoom = Math.min(Math.max(this.waveformZoom * factor, 1), this.maxWaveformZoom);
+            this.panWaveformTo(anchorMs - fraction * this.waveformWindowMs());
+        },
 
-            const sections = [
-                { start: agcStart, end: agcEnd, type: 'AGC', color: '#666' }
-            ];
+        /**
+         * Move the waveform window to start at offsetMs, kept within the signal
+         */
+        panWaveformTo(offsetMs) {
+            const totalMs = this.currentSignal.length / (this.currentSampleRate / 1000);
+            this.waveformOffset = Math.max(0, Math.min(offsetMs, totalMs - this.waveformWindowMs()));
+            this.drawWaveform();
+        },
+
+        /**
+         * Mouse wheel and trackpad pinch (a wheel event with ctrlKey) zoom around the pointer;
+         * horizontal scrolling pans
+         */
+        onWaveformWheel(event) {
+            if (!this.currentSignal) return;
 
-            // Address bits (8 bits)
-            const addressStart = currentTime;
-            currentTime += bitTime * 8;
-            sections.push({ start: addressStart, end: currentTime, type: 'Address', color: '#2196F3' });
+            if (Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+                const { plotWidth } = this.waveformLayout();
+                this.panWaveformTo(this.waveformOffset + (event.deltaX / plotWidth) * this.waveformWindowMs());
+                return;
+            }
+
+            this.zoomWaveform(Math.exp(-event.deltaY * (event.ctrlKey ? 0.01 : 0.002)), this.waveformTimeAt(event));
+        },
 
-            // ~Address bits (8 bits)
-            const addressInvStart = currentTime;
-            currentTime += bitTime * 8;
-            sections.push({ start: addressInvStart, end: currentTime, type: '~Address', color: '#FF9800' });
+        /**
+         * Start a drag (one pointer) or pinch (two pointers) on the waveform
+         */
+        onWaveformPointerDown(event) {
+            if (!this.currentSignal) return;
+
+            event.target.setPointerCapture(event.pointerId);
+            this.waveformPointers[event.pointerId] = event.offsetX;
+            const positions = Object.values(this.waveformPointers);
+
+            if (positions.length === 1) {
+                this.waveformGesture = { type: 'pan', x: event.offsetX, offset: this.waveformOffset, moved: false };
+            } else if (positions.length === 2) {
+                const { margin, plotWidth } = this.waveformLayout();
+                const middle = (positions[0] + positions[1]) / 2 - margin.left;
+                this.waveformGesture = {
+                    type: 'pinch',
+                    distance: Math.abs(positions[0] - positions[1]) || 1,
+                    zoom: this.waveformZoom,
+                    anchorMs: this.waveformOffset + (middle / plotWidth) * this.waveformWindowMs()
+                };
+            }
+        },
 
-            // Command bits (8 bits)
-            const commandStart = currentTime;
-            currentTime += bitTime * 8;
-            sections.push({ start: commandStart, end: currentTime, type: 'Command', color: '#4CAF50' });
+        /**
+         * Follow the pointer: update the readout under it and continue a drag or pinch
+         */
+        onWaveformPointerMove(event) {
+            if (!this.currentSignal) return;
 
-            // ~Command bits (8 bits)
-            const commandInvStart = currentTime;
-            currentTime += bitTime * 8;
-            sections.push({ start: commandInvStart, end: currentTime, type: '~Command', color: '#9C27B0' });
+            this.waveformHover = this.inspectWaveform(this.waveformTimeAt(event));
 
-            // Stop bit
-            currentTime += 0.5625;
-            sections.push({ start: commandInvStart + bitTime * 8, end: currentTime, type: 'Stop', color: '#666' });
+            const gesture = this.waveformGesture;
+            if (!gesture || !(event.pointerId in this.waveformPointers)) return;
+            this.waveformPointers[event.pointerId] = event.offsetX;
 
-            return sections;
+            if (gesture.type === 'pan') {
+                const dx = event.offsetX - gesture.x;
+                gesture.moved = gesture.moved || Math.abs(dx) > 3;
+                if (gesture.moved) {
+                    const { plotWidth } = this.waveformLayout();
+                    this.panWaveformTo(gesture.offset - (dx / plotWidth) * this.waveformWindowMs());
+                }
+            } else {
+                const positions = Object.values(this.waveformPointers);
+                const distance = Math.abs(positions[0] - positions[1]) || 1;
+                this.zoomWaveform(gesture.zoom * (distance / gesture.distance) / this.waveformZoom, gesture.anchorMs);
+            }
+        },
+
+        /**
+         * End a gesture; a click without dragging places a measurement cursor
+         */
+        onWaveformPointerUp(event) {
+            const gesture = this.waveformGesture;
+            delete this.waveformPointers[event.pointerId];
+
+            if (gesture && gesture.type === 'pan' && !gesture.moved && event.type === 'pointerup') {
+                this.placeCursor(this.waveformTimeAt(event));
+            }
+            if (!Object.keys(this.waveformPointers).length) {
+                this.waveformGesture = null;
+            }
+        },
+
+        /**
+         * Place a measurement cursor; once both are placed, the oldest moves
+         */
+        placeCursor(timeMs) {
+            this.waveformCursors = this.waveformCursors.length < 2
+                ? [...this.waveformCursors, timeMs]
+                : [this.waveformCursors[1], timeMs];
+            this.drawWaveform();
+        },
+
+        /**
+         * Remove both measurement cursors
+         */
+        clearCursors() {
+            this.waveformCursors = [];
+            this.drawWaveform();
+        },
+
+        /**
+         * Centre the waveform window on the part of the minimap under the pointer
+         */
+        onMinimapPointer(event) {
+            if (!this.currentSignal || (event.type === 'pointermove' && !event.buttons)) return;
+
+            const { margin } = this.waveformLayout();
+            const plotWidth = this.$refs.minimapCanvas.offsetWidth - margin.left - margin.right;
+            const totalMs = this.currentSignal.length / (this.currentSampleRate / 1000);
+            const timeMs = ((event.offsetX - margin.left) / plotWidth) * totalMs;
+            this.panWaveformTo(timeMs - this.waveformWindowMs() / 2);
+        },
+
+        /**
+         * Convert a generator timeline (samples) into overlay sections (ms)
+         * Bits keep their field, index and value for the per-bit annotations
+         */
+        timelineSections(timeline) {
+            const samplesPerMs = this.irGenerator.sampleRate / 1000;
+
+            return timeline.map(entry => {
+                const style = entry.type === 'bit'
+                    ? { label: entry.field, color: FIELD_COLORS[entry.field] || '#795548' }
+                    : TIMELINE_STYLES[entry.type];
+
+                return {
+                    start: entry.start / samplesPerMs,
+                    end: entry.end / samplesPerMs,
+                    type: style.label,
+                    color: style.color,
+                    frame: entry.frame,
+                    bit: entry.bit,
+                    value: entry.value
+                };
+            });
         },
 
         /**
@@ -372,21 +2827,56 @@ createApp({
          * Draw section labels
          */
         drawSectionLabels(ctx, timings, startMs, endMs, margin, plotWidth) {
-            timings.forEach(section => {
-                if (section.end < startMs || section.start > endMs) return;
+            const windowMs = endMs - startMs;
+            const toX = ms => margin.left + ((Math.min(Math.max(ms, startMs), endMs) - startMs) / windowMs) * plotWidth;
+
+            // Consecutive bits of one field share a label
+            const groups = [];
+            for (const section of timings) {
+                const last = groups[groups.length - 1];
+                if (last && section.value !== undefined && last.value !== undefined
+                    && last.type === section.type && last.frame === section.frame) {
+                    last.end = section.end;
+                } else {
+                    groups.push({ ...section });
+                }
+            }
 
-                const visibleStart = Math.max(section.start, startMs);
-                const visibleEnd = Math.min(section.end, endMs);
-                const windowMs = endMs - startMs;
+            groups.forEach(section => {
+                if (section.end < startMs || section.start > endMs) return;
 
-                const x1 = margin.left + ((visibleStart - startMs) / windowMs) * plotWidth;
-                const x2 = margin.left + ((visibleEnd - startMs) / windowMs) * plotWidth;
-                const labelX = (x1 + x2) / 2;
+                const x1 = toX(section.start);
+                const x2 = toX(section.end);
 
                 if (x2 - x1 > 30) { // Only draw label if there's enough space
                     ctx.fillStyle = section.color;
                     ctx.textAlign = 'center';
-                    ctx.fillText(section.type, labelX, 15);
+                    ctx.fillText(section.type, (x1 + x2) / 2, 15);
+                }
+            });
+
+            // Per-bit boundaries and values, once zoomed in far enough to read them
+            ctx.font = '10px monospace';
+            timings.forEach(section => {
+                if (section.value === undefined || section.end < startMs || section.start > endMs) return;
+
+                const x1 = toX(section.start);
+                const x2 = toX(section.end);
+                if (x2 - x1 < 4) return;
+
+                ctx.strokeStyle = section.color;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([2, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x1, margin.top);
+                ctx.lineTo(x1, margin.top + 20);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                if (x2 - x1 >= 12) {
+                    ctx.fillStyle = section.color;
+                    ctx.textAlign = 'center';
+                    ctx.fillText(String(section.value), (x1 + x2) / 2, margin.top + 12);
                 }
             });
         },
@@ -395,37 +2885,28 @@ createApp({
          * Zoom in on waveform
          */
         zoomIn() {
-            this.waveformZoom = Math.min(this.waveformZoom * 2, 32);
-            this.drawWaveform();
+            this.zoomWaveform(2);
         },
 
         /**
          * Zoom out on waveform
          */
         zoomOut() {
-            this.waveformZoom = Math.max(this.waveformZoom / 2, 1);
-            this.drawWaveform();
+            this.zoomWaveform(0.5);
         },
 
         /**
          * Pan left on waveform
          */
         panLeft() {
-            const baseWindow = 70;
-            const windowMs = baseWindow / this.waveformZoom;
-            this.waveformOffset = Math.max(0, this.waveformOffset - windowMs * 0.25);
-            this.drawWaveform();
+            this.panWaveformTo(this.waveformOffset - this.waveformWindowMs() * 0.25);
         },
 
         /**
          * Pan right on waveform
          */
         panRight() {
-            const baseWindow = 70;
-            const windowMs = baseWindow / this.waveformZoom;
-            const totalMs = (this.currentSignal.length / (this.irGenerator.sampleRate / 1000));
-            this.waveformOffset = Math.min(totalMs - windowMs, this.waveformOffset + windowMs * 0.25);
-            this.drawWaveform();
+            this.panWaveformTo(this.waveformOffset + this.waveformWindowMs() * 0.25);
         },
 
         /**
@@ -438,32 +2919,155 @@ createApp({
         },
 
         /**
-         * Download the generated audio file
+         * Copy one notation of the custom code
          */
-        downloadAudio() {
-            if (!this.audioBlob) {
-                M.toast({ html: 'No audio to download. Generate a command first!', classes: 'orange' });
-                return;
-            }
+        copyNotation(entry) {
+            navigator.clipboard.writeText(entry.text).then(() => {
+                M.toast({
+                    html: `<i class="material-icons left">content_copy</i>${entry.name} copied!`,
+                    classes: 'green'
+                });
+            }).catch(error => {
+                console.warn('Clipboard write failed:', error);
+                M.toast({ html: `Could not copy. Select the ${entry.name} code and copy it manually.`, classes: 'orange' });
+            });
+        },
+
+        /**
+         * Copy the Pronto hex representation of the last sent signal
+         */
+        copyPronto() {
+            if (!this.debugInfo) return;
+
+            navigator.clipboard.writeText(this.debugInfo.prontoHex).then(() => {
+                M.toast({
+                    html: '<i class="material-icons left">content_copy</i>Pronto code copied!',
+                    classes: 'green'
+                });
+            }).catch(error => {
+                console.warn('Clipboard write failed:', error);
+                M.toast({ html: 'Could not copy. Select the Pronto code and copy it manually.', classes: 'orange' });
+            });
+        },
+
+        /**
+         * Generator for exported files: the current carrier and driver at the export sample rate
+         * Files are usually played on other hardware than this device, so its timing calibration only applies when asked for.
+         */
+        exportGenerator() {
+            const compensation = this.exportFormat.compensate ? this.calibration.timingCompensation : 1;
+            return new IRGenerator(this.frequency, this.driver, compensation, this.exportFormat.sampleRate);
+        },
+
+        /**
+         * Render a signal in the chosen export format
+         * @param {Object} signal - Signal from the IR generator
+         * @param {IRGenerator} generator - Export generator
+         * @returns {Object} - { wav (ArrayBuffer), duration (ms) }
+         */
+        exportWav(signal, generator = this.exportGenerator()) {
+            const rendered = generator.resynthesize(signal);
+            return {
+                wav: generator.signalToWav(rendered, this.exportFormat),
+                duration: rendered.left.length / generator.sampleRate * 1000
+            };
+        },
 
-            const url = URL.createObjectURL(this.audioBlob);
+        /**
+         * Save a blob through a temporary download link
+         */
+        saveFile(blob, filename) {
+            const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `ir_command_${this.lastCommand}_${Date.now()}.wav`;
+            a.download = filename;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
+        },
+
+        /**
+         * Download the generated audio file
+         */
+        downloadAudio() {
+            if (!this.lastSignal) {
+                M.toast({ html: 'No audio to download. Generate a command first!', classes: 'orange' });
+                return;
+            }
+
+            try {
+                const { wav } = this.exportWav(this.lastSignal);
+                this.saveFile(new Blob([wav], { type: 'audio/wav' }), `ir_command_${this.lastCommand}_${Date.now()}.wav`);
+            } catch (error) {
+                console.error('Error exporting audio:', error);
+                M.toast({ html: 'Error: ' + error.message, classes: 'red' });
+                return;
+            }
 
             M.toast({
                 html: '<i class="material-icons left">download</i>Audio file downloaded!',
                 classes: 'green'
             });
+        },
+
+        /**
+         * Download every button of the current remote as WAV files in one ZIP, with an index.csv listing them
+         */
+        downloadRemote() {
+            const brand = this.currentBrand;
+            const generator = this.exportGenerator();
+            const zip = new ZipArchive();
+            const csv = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+            const index = [['file', 'button', 'protocol', 'code', 'carrier_hz', 'duration_ms']];
+            const failed = [];
+
+            Object.keys(brand.codes).forEach((name, i) => {
+                const { protocol, code } = this.resolveCommand(brand, name);
+                try {
+                    const { signal } = this.buildSignal(code, protocol, 0);
+                    const { wav, duration } = this.exportWav(signal, generator);
+                    const file = `${String(i + 1).padStart(2, '0')}_${name.replace(/[^A-Za-z0-9_-]+/g, '_')}.wav`;
+
+                    zip.addFile(file, wav);
+                    index.push([file, name, protocol, IRGenerator.formatCode(protocol, code), signal.carrierFrequency, duration.toFixed(1)]);
+                } catch (error) {
+                    console.warn(`Could not export ${name}:`, error);
+                    failed.push(name);
+                }
+            });
+
+            if (index.length === 1) {
+                M.toast({ html: `${brand.name} has no buttons to export`, classes: 'orange' });
+                return;
+            }
+
+            zip.addFile('index.csv', index.map(row => row.map(field => csv(String(field))).join(',')).join('\r\n') + '\r\n');
+            this.saveFile(zip.toBlob(), `${brand.name.replace(/[^A-Za-z0-9_-]+/g, '_')}_remote.zip`);
+
+            M.toast({
+                html: `<i class="material-icons left">download</i>${index.length - 1} buttons exported`
+                    + (failed.length ? ` (skipped ${failed.join(', ')})` : ''),
+                classes: failed.length ? 'orange' : 'green'
+            });
         }
     },
 
     beforeUnmount() {
         // Clean up
+        this.stopHold();
+        clearTimeout(this.sweepTimer);
+        clearTimeout(this.scanTimer);
+        window.removeEventListener('hashchange', this.onHashChange);
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('gamepadconnected', this.onGamepadConnection);
+        window.removeEventListener('gamepaddisconnected', this.onGamepadConnection);
+        cancelAnimationFrame(this.gamepadFrame);
+        this.cancelPendingSend();
+        if (this.transmitter) {
+            this.transmitter.stop();
+        }
         if (this.audioUrl) {
             URL.revokeObjectURL(this.audioUrl);
         }
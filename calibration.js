@@ -0,0 +1,169 @@
+/**
+ * Output Calibration
+ * Measures how far the audio output stretches or shrinks timings and stores a per-device profile
+ */
+
+const CALIBRATION_KEY = 'irBlaster.calibration';
+
+// Reference pattern: audible 2 kHz bursts every 200ms, so a microphone can hear them
+const CALIBRATION_REFERENCE = {
+    carrierFrequency: 2000,
+    bursts: 11,
+    mark: 50000,
+    space: 150000,
+    span: 2000 // ms from the first burst onset to the last
+};
+
+class Calibration {
+    /**
+     * Profile used when this device has not been calibrated
+     * The historic 3.5% stretch is kept on iOS, where it was measured; elsewhere timings play as written
+     */
+    static defaultProfile() {
+        const iOS = /iPad|iPhone|iPod/.test(navigator.userAgent)
+            || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+        return { timingCompensation: iOS ? 1.035 : 1, method: 'default' };
+    }
+
+    /**
+     * Load this device's calibration profile from localStorage
+     * @returns {Object} - Profile as { timingCompensation, skew, effectiveSampleRate, measuredSpan, method, date }
+     */
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CALIBRATION_KEY));
+            if (stored && stored.profile && stored.profile.timingCompensation > 0) {
+                return stored.profile;
+            }
+        } catch (error) {
+            console.warn('Could not load calibration:', error);
+        }
+        return Calibration.defaultProfile();
+    }
+
+    /**
+     * Save this device's calibration profile to localStorage
+     * @param {Object} profile - Calibration profile
+     */
+    static save(profile) {
+        localStorage.setItem(CALIBRATION_KEY, JSON.stringify({ version: 1, profile }));
+    }
+
+    /**
+     * Forget the calibration and go back to the default profile
+     * @returns {Object} - Default profile
+     */
+    static clear() {
+        localStorage.removeItem(CALIBRATION_KEY);
+        return Calibration.defaultProfile();
+    }
+
+    /**
+     * Render the reference pattern without any timing compensation
+     * @param {Object} driver - Driver settings to play it with
+     * @returns {Object} - Signal with left and right channels
+     */
+    static referenceSignal(driver) {
+        const { carrierFrequency, bursts, mark, space } = CALIBRATION_REFERENCE;
+        const generator = new IRGenerator(carrierFrequency / 1000, { ...driver, silentSpaces: true }, 1);
+
+        const segments = [generator.generateSilence(200000)];
+        for (let i = 0; i < bursts; i++) {
+            segments.push(generator.generatePulse(mark, true));
+            if (i < bursts - 1) {
+                segments.push(generator.generatePulse(space, false));
+            }
+        }
+        segments.push(generator.generateSilence(200000));
+
+        return generator.combineSegments(segments);
+    }
+
+    /**
+     * Find where bursts start in a recording
+     * @param {Float32Array} samples - Recorded samples
+     * @param {number} sampleRate - Recording sample rate in Hz
+     * @returns {number[]} - Burst onsets in ms
+     */
+    static detectOnsets(samples, sampleRate) {
+        // Envelope: peak level over 1ms windows
+        const window = Math.max(1, Math.round(sampleRate / 1000));
+        const envelope = [];
+        let loudest = 0;
+        for (let start = 0; start < samples.length; start += window) {
+            let peak = 0;
+            for (let i = start; i < Math.min(start + window, samples.length); i++) {
+                peak = Math.max(peak, Math.abs(samples[i]));
+            }
+            envelope.push(peak);
+            loudest = Math.max(loudest, peak);
+        }
+
+        const threshold = loudest / 2;
+        const onsets = [];
+        let quiet = Infinity; // ms spent below the threshold
+
+        envelope.forEach((peak, index) => {
+            if (peak < threshold) {
+                quiet++;
+                return;
+            }
+
+            // A burst starts after at least 20ms of quiet; pin it to the first loud sample
+            if (quiet >= 20) {
+                let i = index * window;
+                while (Math.abs(samples[i]) < threshold) i++;
+                onsets.push(i / sampleRate * 1000);
+            }
+            quiet = 0;
+        });
+
+        return onsets;
+    }
+
+    /**
+     * Measure the reference pattern in a recording
+     * @param {Float32Array} samples - Recorded samples
+     * @param {number} sampleRate - Recording sample rate in Hz
+     * @returns {number} - Span from the first to the last burst in ms
+     */
+    static measureRecording(samples, sampleRate) {
+        const { bursts, mark, space } = CALIBRATION_REFERENCE;
+        const period = (mark + space) / 1000;
+        const onsets = Calibration.detectOnsets(samples, sampleRate);
+
+        // Look for a run of bursts spaced like the reference, ignoring clicks and background noise
+        for (let first = 0; first + bursts <= onsets.length; first++) {
+            const run = onsets.slice(first, first + bursts);
+            const regular = run.slice(1).every((onset, i) => Math.abs(onset - run[i] - period) < period * 0.2);
+            if (regular) {
+                return run[bursts - 1] - run[0];
+            }
+        }
+
+        throw new Error(`Could not hear the reference pattern (${onsets.length} bursts detected). Turn up the volume and hold the microphone closer.`);
+    }
+
+    /**
+     * Build a profile from the measured length of the reference pattern
+     * @param {number} measuredSpan - Measured span from the first to the last burst in ms
+     * @param {string} method - 'microphone' or 'manual'
+     * @param {number} sampleRate - Nominal output sample rate in Hz
+     * @returns {Object} - Calibration profile
+     */
+    static fromMeasuredSpan(measuredSpan, method, sampleRate) {
+        const skew = measuredSpan / CALIBRATION_REFERENCE.span;
+        if (!(skew > 0.8 && skew < 1.25)) {
+            throw new Error(`A ${measuredSpan} ms span is too far from the expected ${CALIBRATION_REFERENCE.span} ms to be a timing error`);
+        }
+
+        return {
+            timingCompensation: 1 / skew,
+            skew,
+            effectiveSampleRate: Math.round(sampleRate / skew),
+            measuredSpan,
+            method,
+            date: new Date().toISOString()
+        };
+    }
+}
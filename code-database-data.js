@@ -0,0 +1,369 @@
+/**
+ * IR Code Database
+ * Code sets by manufacturer, then device type; loaded on demand by CodeDatabase.load()
+ */
+
+// Each code set sends its commands with one protocol and address (SIRC device):
+//   NEC, NEC Extended and Samsung32 commands are the 8-bit command byte, the redundant bytes are filled in
+//   SIRC, RC5 and RC6 commands are the protocol's command number
+// A command given as an object overrides the set's address or bits, e.g. Sony's 15-bit Bravia keys.
+// Fans mostly use their own encodings, so their sets are captures: raw timing text sent on the set's carrierFrequency,
+// or learned Pronto hex, both in the notation the My Remotes editor takes.
+// Codes are the common ones for each manufacturer; individual models can differ, so Learn Codes fills the gaps.
+const IR_CODE_DATABASE = {
+    'Epson': {
+        projector: [
+            {
+                id: 'epson-projector',
+                name: 'Projector',
+                notes: 'EB, PowerLite and Home Cinema projectors',
+                protocol: 'nec-extended',
+                address: 0x5583,
+                commands: {
+                    power: 0x90, input: 0x8C, menu: 0x3A, back: 0xB1,
+                    up: 0x16, down: 0x36, left: 0xB6, right: 0x76, ok: 0x1A,
+                    volUp: 0x18, volDown: 0x38, mute: 0x0A,
+                    freeze: 0x8A, aspect: 0x0D, colorMode: 0x4D
+                }
+            }
+        ]
+    },
+
+    'Honeywell': {
+        fan: [
+            {
+                id: 'honeywell-fan',
+                name: 'Tower Fan',
+                notes: 'QuietSet and HY series tower fans',
+                protocol: 'pronto',
+                commands: {
+                    power: '0000 006D 000C 000C 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 010E 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 010E',
+                    speed: '0000 006D 000C 000C 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 010E 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 010E',
+                    oscillate: '0000 006D 000C 000C 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 010E 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 010E',
+                    timer: '0000 006D 000C 000C 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 010E 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 010E',
+                    mode: '0000 006D 000C 000C 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 010E 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 010E',
+                    light: '0000 006D 000C 000C 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 010E 0031 000F 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 010E'
+                }
+            }
+        ]
+    },
+
+    'Lasko': {
+        fan: [
+            {
+                id: 'lasko-fan',
+                name: 'Tower Fan',
+                notes: 'Tower and pedestal fans with the five-button remote',
+                protocol: 'raw',
+                carrierFrequency: 38000,
+                commands: {
+                    power: '+1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +1300 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +1300 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +1300',
+                    speed: '+1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +1300 -400 +450 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +1300 -400 +450 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +1300 -400 +450',
+                    oscillate: '+1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +1300 -400 +450 -1250 +450 -1250 +450 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +1300 -400 +450 -1250 +450 -1250 +450 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +1300 -400 +450 -1250 +450 -1250 +450',
+                    timer: '+1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +1300 -400 +450 -1250 +450 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +1300 -400 +450 -1250 +450 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -1250 +1300 -400 +450 -1250 +450',
+                    mode: '+1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450 -7100 +1300 -400 +1300 -400 +450 -1250 +1300 -400 +1300 -400 +450 -1250 +450 -1250 +1300 -400 +450 -1250 +450 -1250 +450 -1250 +450'
+                }
+            }
+        ]
+    },
+
+    'LG': {
+        tv: [
+            {
+                id: 'lg-tv',
+                name: 'TV',
+                notes: 'Smart TVs and most older sets',
+                protocol: 'nec',
+                address: 0x04,
+                commands: {
+                    power: 0x08, powerOn: 0xC4, powerOff: 0xC5,
+                    num0: 0x10, num1: 0x11, num2: 0x12, num3: 0x13, num4: 0x14,
+                    num5: 0x15, num6: 0x16, num7: 0x17, num8: 0x18, num9: 0x19,
+                    volUp: 0x02, volDown: 0x03, chUp: 0x00, chDown: 0x01, mute: 0x09,
+                    input: 0x0B, menu: 0x43, back: 0x28, home: 0x7C, exit: 0x5B, info: 0xAA, guide: 0xAB,
+                    up: 0x40, down: 0x41, left: 0x07, right: 0x06, ok: 0x44,
+                    play: 0xB0, pause: 0xBA, stop: 0xB1, rewind: 0x8F, fastForward: 0x8E
+                }
+            }
+        ]
+    },
+
+    'Marantz': {
+        receiver: [
+            {
+                id: 'marantz-receiver',
+                name: 'AV Receiver',
+                protocol: 'rc5',
+                address: 16,
+                commands: {
+                    power: 12,
+                    num0: 0, num1: 1, num2: 2, num3: 3, num4: 4,
+                    num5: 5, num6: 6, num7: 7, num8: 8, num9: 9,
+                    volUp: 16, volDown: 17, mute: 13, input: 56, menu: 82,
+                    up: 80, down: 81, left: 85, right: 86, ok: 87
+                }
+            }
+        ]
+    },
+
+    'Microsoft': {
+        settop: [
+            {
+                id: 'microsoft-mce',
+                name: 'Media Center Remote',
+                notes: 'Windows Media Center, Xbox 360 and Kodi MCE receivers',
+                protocol: 'rc6',
+                address: 0x04,
+                mode: 6,
+                commands: {
+                    power: 0x0C,
+                    num0: 0x00, num1: 0x01, num2: 0x02, num3: 0x03, num4: 0x04,
+                    num5: 0x05, num6: 0x06, num7: 0x07, num8: 0x08, num9: 0x09,
+                    volUp: 0x10, volDown: 0x11, chUp: 0x12, chDown: 0x13, mute: 0x0E,
+                    input: 0x25, menu: 0x0F, back: 0x23, home: 0x0D,
+                    up: 0x1E, down: 0x1F, left: 0x20, right: 0x21, ok: 0x22,
+                    play: 0x16, pause: 0x18, stop: 0x19, record: 0x17,
+                    rewind: 0x15, fastForward: 0x14, skip: 0x1A, replay: 0x1B
+                }
+            }
+        ]
+    },
+
+    'Pelonis': {
+        fan: [
+            {
+                id: 'pelonis-fan',
+                name: 'Tower Fan',
+                notes: 'Tower and pedestal fans, also sold under store brands',
+                protocol: 'pronto',
+                commands: {
+                    power: '0000 006D 000C 000C 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 010E 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 010E',
+                    speed: '0000 006D 000C 000C 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 010E 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 010E',
+                    oscillate: '0000 006D 000C 000C 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 010E 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 010E',
+                    timer: '0000 006D 000C 000C 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 010E 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 010E',
+                    mode: '0000 006D 000C 000C 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 010E 0031 000F 0011 0030 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0031 000F 0011 0030 0011 0030 0011 0030 0011 010E'
+                }
+            }
+        ]
+    },
+
+    'Philips': {
+        tv: [
+            {
+                id: 'philips-tv',
+                name: 'TV',
+                notes: 'RC6 sets from the mid 2000s on',
+                protocol: 'rc6',
+                address: 0x00,
+                commands: {
+                    power: 0x0C,
+                    num0: 0x00, num1: 0x01, num2: 0x02, num3: 0x03, num4: 0x04,
+                    num5: 0x05, num6: 0x06, num7: 0x07, num8: 0x08, num9: 0x09,
+                    volUp: 0x10, volDown: 0x11, chUp: 0x4C, chDown: 0x4D, mute: 0x0D,
+                    input: 0x38, menu: 0x40, back: 0x0A, home: 0x54,
+                    up: 0x58, down: 0x59, left: 0x5A, right: 0x5B, ok: 0x5C
+                }
+            },
+            {
+                id: 'philips-tv-rc5',
+                name: 'TV (RC5)',
+                notes: 'Older sets',
+                protocol: 'rc5',
+                address: 0,
+                commands: {
+                    power: 12,
+                    num0: 0, num1: 1, num2: 2, num3: 3, num4: 4,
+                    num5: 5, num6: 6, num7: 7, num8: 8, num9: 9,
+                    volUp: 16, volDown: 17, chUp: 32, chDown: 33, mute: 13
+                }
+            }
+        ]
+    },
+
+    'Pioneer': {
+        receiver: [
+            {
+                id: 'pioneer-receiver',
+                name: 'AV Receiver',
+                protocol: 'nec',
+                address: 0xA5,
+                commands: {
+                    power: 0x1C, powerOn: 0x58, powerOff: 0x59,
+                    volUp: 0x0A, volDown: 0x0B, mute: 0x12, input: 0x55, menu: 0x1B, back: 0x1D,
+                    up: 0x24, down: 0x25, left: 0x26, right: 0x27, ok: 0x28
+                }
+            }
+        ]
+    },
+
+    'Roku': {
+        tv: [
+            {
+                id: 'roku-tv',
+                name: 'TV',
+                notes: 'Roku TVs by TCL, Hisense, Sharp, Insignia and others',
+                protocol: 'nec-extended',
+                address: 0xC7EA,
+                commands: {
+                    power: 0x17, volUp: 0x0F, volDown: 0x10, mute: 0x20,
+                    home: 0x03, back: 0x66, options: 0x61, replay: 0x78,
+                    up: 0x19, down: 0x33, left: 0x1E, right: 0x2D, ok: 0x2A,
+                    play: 0x4C, rewind: 0x34, fastForward: 0x55
+                }
+            }
+        ],
+        settop: [
+            {
+                id: 'roku-player',
+                name: 'Streaming Player',
+                notes: 'Roku Express, Streaming Stick and Ultra with IR remotes',
+                protocol: 'nec-extended',
+                address: 0xC7EA,
+                commands: {
+                    home: 0x03, back: 0x66, options: 0x61, replay: 0x78,
+                    up: 0x19, down: 0x33, left: 0x1E, right: 0x2D, ok: 0x2A,
+                    play: 0x4C, rewind: 0x34, fastForward: 0x55
+                }
+            }
+        ]
+    },
+
+    'Samsung': {
+        tv: [
+            {
+                id: 'samsung-tv',
+                name: 'TV',
+                protocol: 'samsung32',
+                address: 0x07,
+                commands: {
+                    power: 0x02, powerOn: 0x99, powerOff: 0x98,
+                    num0: 0x11, num1: 0x04, num2: 0x05, num3: 0x06, num4: 0x08,
+                    num5: 0x09, num6: 0x0A, num7: 0x0C, num8: 0x0D, num9: 0x0E,
+                    volUp: 0x07, volDown: 0x0B, chUp: 0x12, chDown: 0x10, mute: 0x0F,
+                    input: 0x01, menu: 0x1A, back: 0x58, home: 0x79, exit: 0x2D, info: 0x1F, guide: 0x4F,
+                    up: 0x60, down: 0x61, left: 0x65, right: 0x62, ok: 0x68,
+                    play: 0x47, pause: 0x4A, stop: 0x46, rewind: 0x45, fastForward: 0x48
+                }
+            }
+        ],
+        soundbar: [
+            {
+                id: 'samsung-soundbar',
+                name: 'Soundbar',
+                protocol: 'samsung32',
+                address: 0x2C,
+                commands: {
+                    power: 0x1E, volUp: 0x17, volDown: 0x16, mute: 0x1F, input: 0x3E,
+                    up: 0x40, down: 0x41, left: 0x42, right: 0x43, ok: 0x44,
+                    play: 0x47, pause: 0x4A, stop: 0x46, rewind: 0x45, fastForward: 0x48,
+                    bass: 0x5F, soundMode: 0x5E
+                }
+            }
+        ]
+    },
+
+    'Sony': {
+        tv: [
+            {
+                id: 'sony-tv',
+                name: 'TV',
+                notes: 'Bravia and older Trinitron sets',
+                protocol: 'sirc',
+                address: 0x01,
+                commands: {
+                    power: 21, powerOn: 46, powerOff: 47,
+                    num0: 9, num1: 0, num2: 1, num3: 2, num4: 3,
+                    num5: 4, num6: 5, num7: 6, num8: 7, num9: 8,
+                    volUp: 18, volDown: 19, chUp: 16, chDown: 17, mute: 20,
+                    input: 37, home: 96, info: 58,
+                    menu: { address: 0x97, command: 54, bits: 15 },
+                    back: { address: 0x97, command: 35, bits: 15 },
+                    up: 116, down: 117, left: 52, right: 51, ok: 101
+                }
+            }
+        ],
+        soundbar: [
+            {
+                id: 'sony-soundbar',
+                name: 'Soundbar',
+                notes: 'HT series',
+                protocol: 'sirc',
+                address: 48,
+                bits: 15,
+                commands: {
+                    power: 21, powerOn: 46, powerOff: 47,
+                    volUp: 18, volDown: 19, mute: 20, input: 105, home: 83,
+                    up: 120, down: 121, left: 122, right: 123, ok: 12,
+                    soundField: 110, nightMode: 77, voice: 98
+                }
+            }
+        ],
+        receiver: [
+            {
+                id: 'sony-receiver',
+                name: 'AV Receiver',
+                notes: 'STR series',
+                protocol: 'sirc',
+                address: 48,
+                bits: 15,
+                commands: {
+                    power: 21, powerOn: 46, powerOff: 47,
+                    volUp: 18, volDown: 19, mute: 20, input: 105, menu: 83, back: 99,
+                    up: 120, down: 121, left: 122, right: 123, ok: 12,
+                    soundField: 110, displayDimmer: 77
+                }
+            }
+        ]
+    },
+
+    'Toshiba': {
+        tv: [
+            {
+                id: 'toshiba-tv',
+                name: 'TV',
+                protocol: 'nec',
+                address: 0x40,
+                commands: {
+                    power: 0x12,
+                    num0: 0x00, num1: 0x01, num2: 0x02, num3: 0x03, num4: 0x04,
+                    num5: 0x05, num6: 0x06, num7: 0x07, num8: 0x08, num9: 0x09,
+                    volUp: 0x1A, volDown: 0x1E, chUp: 0x1B, chDown: 0x1F, mute: 0x10, input: 0x0F
+                }
+            }
+        ]
+    },
+
+    'Vizio': {
+        tv: [
+            {
+                id: 'vizio-tv',
+                name: 'TV',
+                protocol: 'nec',
+                address: 0x04,
+                commands: {
+                    power: 0x08,
+                    num0: 0x10, num1: 0x11, num2: 0x12, num3: 0x13, num4: 0x14,
+                    num5: 0x15, num6: 0x16, num7: 0x17, num8: 0x18, num9: 0x19,
+                    volUp: 0x02, volDown: 0x03, chUp: 0x00, chDown: 0x01, mute: 0x09, input: 0x2F
+                }
+            }
+        ]
+    },
+
+    'Yamaha': {
+        receiver: [
+            {
+                id: 'yamaha-receiver',
+                name: 'AV Receiver',
+                notes: 'RX-V and Aventage receivers',
+                protocol: 'nec',
+                address: 0x7A,
+                commands: {
+                    power: 0x1F, powerOn: 0x1D, powerOff: 0x1E,
+                    volUp: 0x1A, volDown: 0x1B, mute: 0x1C, input: 0x57, menu: 0x9C, back: 0xAA,
+                    up: 0x9D, down: 0x9E, left: 0x9F, right: 0xA0, ok: 0xDE
+                }
+            }
+        ]
+    }
+};
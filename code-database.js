@@ -0,0 +1,129 @@
+/**
+ * Code Database
+ * Loads the bundled IR code database on first use and turns its code sets into remotes for the remote grid
+ */
+
+const CODE_DATABASE_SCRIPT = 'code-database-data.js';
+
+// Device types, in the order the search filter lists them
+const DEVICE_TYPES = {
+    tv: 'TV',
+    soundbar: 'Soundbar',
+    receiver: 'AV Receiver',
+    projector: 'Projector',
+    settop: 'Set-top Box',
+    fan: 'Fan'
+};
+
+// Pending or finished load, shared by every caller
+let codeDatabaseLoad = null;
+
+class CodeDatabase {
+    /**
+     * Load the database, adding its script to the page the first time
+     * A script tag rather than fetch() so the database also loads from file:// pages; a failed load is retried on the next call.
+     * @returns {Promise<Array<Object>>} - Code sets as { id, manufacturer, type, name, protocol, address, commands, ... }
+     */
+    static load() {
+        if (!codeDatabaseLoad) {
+            codeDatabaseLoad = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = CODE_DATABASE_SCRIPT;
+                script.onload = () => resolve(CodeDatabase.flatten(IR_CODE_DATABASE));
+                script.onerror = () => {
+                    script.remove();
+                    codeDatabaseLoad = null;
+                    reject(new Error('Could not load the code database'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return codeDatabaseLoad;
+    }
+
+    /**
+     * List the code sets of the database, each tagged with its manufacturer and device type
+     * @param {Object} database - Code sets by manufacturer, then device type
+     * @returns {Array<Object>} - Code sets
+     */
+    static flatten(database) {
+        const sets = [];
+        for (const [manufacturer, types] of Object.entries(database)) {
+            for (const [type, typeSets] of Object.entries(types)) {
+                for (const set of typeSets) {
+                    sets.push({ ...set, manufacturer, type });
+                }
+            }
+        }
+        return sets;
+    }
+
+    /**
+     * Find the code sets matching a search
+     * Every word of the query has to appear in the manufacturer, device type, code set name, notes or protocol.
+     * @param {Array<Object>} sets - Code sets from load()
+     * @param {string} query - Search words
+     * @param {string} type - Device type to limit the search to, or '' for all
+     * @returns {Array<Object>} - Matching code sets
+     */
+    static search(sets, query, type = '') {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return sets.filter(set => {
+            if (type && set.type !== type) return false;
+
+            const text = [set.manufacturer, DEVICE_TYPES[set.type], set.name, set.notes || '', BUTTON_PROTOCOLS[set.protocol].name]
+                .join(' ').toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    /**
+     * Turn a code set into a remote like the TV_REMOTES entries
+     * @param {Object} set - Code set from load()
+     * @returns {Object} - Remote as { name, protocol, codes, database }
+     */
+    static toBrand(set) {
+        const codes = {};
+        for (const [name, command] of Object.entries(set.commands)) {
+            // A command given as an object overrides the set's address or bit count
+            const fields = typeof command === 'object' ? { ...set, ...command } : { ...set, command };
+            codes[name] = CodeDatabase.encode(set.protocol, fields);
+        }
+
+        return {
+            name: `${set.manufacturer} ${set.name}`,
+            protocol: set.protocol,
+            codes,
+            database: set.id
+        };
+    }
+
+    /**
+     * Code for a command in the form generateCode() takes for the protocol
+     * @param {string} protocol - Protocol of the code set
+     * @param {Object} fields - { address, command } with the protocol's optional bits (SIRC) or mode (RC6);
+     *   raw and Pronto commands are the timing text or hex words, raw ones sent on the set's carrierFrequency (Hz)
+     * @returns {number|Object} - Code
+     */
+    static encode(protocol, { address, command, bits, mode, carrierFrequency }) {
+        switch (protocol) {
+            case 'nec':
+            case 'nec-extended':
+            case 'samsung32':
+                return IRGenerator.necCode(protocol, address, command);
+            case 'sirc':
+                return bits && bits !== 12 ? { device: address, command, bits } : { device: address, command };
+            case 'rc5':
+                return { address, command };
+            case 'rc6':
+                return mode ? { address, command, mode } : { address, command };
+            case 'raw':
+                return IRGenerator.parseCode('raw', command, carrierFrequency);
+            case 'pronto':
+                return IRGenerator.parseCode('pronto', command);
+            default:
+                throw new Error(`Unsupported protocol in the code database: ${protocol}`);
+        }
+    }
+}
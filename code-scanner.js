@@ -0,0 +1,75 @@
+/**
+ * Code Scanner
+ * Steps through the commands of a NEC address to find codes remotes don't have, e.g. service menus and discrete inputs.
+ * The scan position is saved in localStorage so a scan carries on after a reload.
+ */
+
+const CODE_SCANNER_KEY = 'irBlaster.codeScanner';
+
+class CodeScanner {
+    /**
+     * A fresh scan of every command of LG's address
+     * @returns {Object} - Scan as { address, first, last, command, sent, delay (ms), remoteId, hits }
+     */
+    static defaults() {
+        return {
+            address: 0x04,
+            first: 0x00,
+            last: 0xFF,
+            command: 0x00, // Command at the cursor
+            sent: false, // Whether the command at the cursor has been sent yet
+            delay: 1500, // Pause after each command when auto-stepping
+            remoteId: null, // User remote that hits are saved to
+            hits: [] // Marked codes as { address, command, label }
+        };
+    }
+
+    /**
+     * Load the scan from localStorage
+     * @returns {Object} - Scan, or a fresh one if nothing valid is stored
+     */
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CODE_SCANNER_KEY));
+            if (stored && stored.scan) {
+                return { ...CodeScanner.defaults(), ...stored.scan };
+            }
+        } catch (error) {
+            console.warn('Could not load the code scanner:', error);
+        }
+        return CodeScanner.defaults();
+    }
+
+    /**
+     * Save the scan to localStorage
+     * @param {Object} scan - Scan from load()
+     */
+    static save(scan) {
+        localStorage.setItem(CODE_SCANNER_KEY, JSON.stringify({ version: 1, scan }));
+    }
+
+    /**
+     * Read an address or command byte typed as decimal or 0x-prefixed hex
+     * @param {string} text - Typed value
+     * @returns {number} - Byte
+     */
+    static parseByte(text) {
+        const trimmed = String(text).trim();
+        const value = /^0x[0-9a-f]+$/i.test(trimmed) ? parseInt(trimmed, 16) : /^\d+$/.test(trimmed) ? Number(trimmed) : NaN;
+        if (!(value >= 0 && value <= 0xFF)) {
+            throw new Error(`Expected a value from 0 to 255 (0x00-0xFF), got "${trimmed}"`);
+        }
+        return value;
+    }
+
+    /**
+     * Command next to the cursor within the scan range
+     * @param {Object} scan - Scan from load()
+     * @param {number} direction - 1 for the next command, -1 for the previous one
+     * @returns {number|null} - Command, or null at the end of the range
+     */
+    static neighbour(scan, direction) {
+        const command = scan.command + direction;
+        return command >= scan.first && command <= scan.last ? command : null;
+    }
+}
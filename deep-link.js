@@ -0,0 +1,79 @@
+/**
+ * Deep Links
+ * Reads and writes the selected remote, custom command and carrier in the URL hash so commands can be bookmarked and shared
+ */
+
+// Hash parameter for each piece of state, e.g. #brand=samsung&send=power or #protocol=nec&code=0x20DF10EF&freq=40
+const DEEP_LINK_PARAMS = {
+    brand: 'brand',
+    protocol: 'protocol',
+    code: 'code',
+    frequency: 'freq',
+    send: 'send'
+};
+
+// Protocols the custom command panel can send
+const DEEP_LINK_PROTOCOLS = ['nec', 'nec-extended', 'samsung32', 'raw', 'pronto'];
+
+class DeepLink {
+    /**
+     * Read the state from a URL hash
+     * `send` names a command of the linked brand to send, or 'custom' for the custom command.
+     * @param {string} hash - URL hash, with or without the leading #
+     * @returns {Object} - State as { brand, protocol, code, frequency, send }, with only the parameters present in the hash
+     */
+    static parse(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const state = {};
+
+        for (const [key, param] of Object.entries(DEEP_LINK_PARAMS)) {
+            if (params.has(param)) {
+                state[key] = params.get(param);
+            }
+        }
+
+        if (state.protocol !== undefined && !DEEP_LINK_PROTOCOLS.includes(state.protocol)) {
+            throw new Error(`Unsupported protocol "${state.protocol}" in link`);
+        }
+        if (state.frequency !== undefined) {
+            state.frequency = Number(state.frequency);
+            if (!(state.frequency >= 30 && state.frequency <= 60)) {
+                throw new Error(`Carrier frequency in link must be 30-60 kHz, got "${params.get(DEEP_LINK_PARAMS.frequency)}"`);
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Write the state as a URL hash
+     * Values equal to their default are left out to keep links short, but a code always carries its protocol.
+     * @param {Object} state - State as { brand, protocol, code, frequency, send }
+     * @param {Object} defaults - Values to leave out (default none)
+     * @returns {string} - Hash including the leading #, or '' when everything is at its default
+     */
+    static format(state, defaults = {}) {
+        const params = new URLSearchParams();
+        const changed = key => state[key] !== undefined && state[key] !== null && state[key] !== '' && state[key] !== defaults[key];
+        const codeChanged = changed('code') || changed('protocol');
+
+        for (const [key, param] of Object.entries(DEEP_LINK_PARAMS)) {
+            if (changed(key) || ((key === 'code' || key === 'protocol') && codeChanged && state[key])) {
+                params.set(param, state[key]);
+            }
+        }
+
+        const hash = params.toString();
+        return hash ? '#' + hash : '';
+    }
+
+    /**
+     * Full link to this page with the given state
+     * @param {Object} state - State as { brand, protocol, code, frequency, send }
+     * @param {Object} defaults - Values to leave out (default none)
+     * @returns {string} - Absolute URL
+     */
+    static url(state, defaults = {}) {
+        return location.href.replace(/#.*$/, '') + DeepLink.format(state, defaults);
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Input Bindings
+ * Maps keyboard keys, gamepad buttons and media keys to remote commands, saved in localStorage
+ */
+
+const INPUT_BINDINGS_KEY = 'irBlaster.inputBindings';
+
+// Keyboard keys by KeyboardEvent.key, with letters lowercased
+const DEFAULT_KEY_BINDINGS = {
+    'ArrowUp': 'up',
+    'ArrowDown': 'down',
+    'ArrowLeft': 'left',
+    'ArrowRight': 'right',
+    'Enter': 'ok',
+    '+': 'volUp',
+    '=': 'volUp',
+    '-': 'volDown',
+    'PageUp': 'chUp',
+    'PageDown': 'chDown',
+    '0': 'num0',
+    '1': 'num1',
+    '2': 'num2',
+    '3': 'num3',
+    '4': 'num4',
+    '5': 'num5',
+    '6': 'num6',
+    '7': 'num7',
+    '8': 'num8',
+    '9': 'num9',
+    'm': 'mute',
+    'p': 'power',
+    'i': 'input',
+    'Backspace': 'back',
+    'Home': 'home',
+    'ContextMenu': 'menu'
+};
+
+// Gamepad buttons by index in the standard mapping (https://w3c.github.io/gamepad/#remapping)
+const DEFAULT_GAMEPAD_BINDINGS = {
+    0: 'ok',
+    1: 'back',
+    2: 'mute',
+    3: 'input',
+    4: 'volDown',
+    5: 'volUp',
+    6: 'chDown',
+    7: 'chUp',
+    8: 'menu',
+    9: 'home',
+    12: 'up',
+    13: 'down',
+    14: 'left',
+    15: 'right',
+    16: 'power'
+};
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Guide'
+];
+
+// MediaSession actions, sent by headset buttons, Bluetooth remotes and hardware media keys
+const DEFAULT_MEDIA_BINDINGS = {
+    'play': 'ok',
+    'pause': 'ok',
+    'nexttrack': 'chUp',
+    'previoustrack': 'chDown'
+};
+const MEDIA_ACTION_NAMES = {
+    'play': 'Play',
+    'pause': 'Pause',
+    'nexttrack': 'Next Track',
+    'previoustrack': 'Previous Track',
+    'seekforward': 'Seek Forward',
+    'seekbackward': 'Seek Backward'
+};
+
+// How keys without a printable character of their own are shown
+const KEY_LABELS = {
+    'ArrowUp': '↑',
+    'ArrowDown': '↓',
+    'ArrowLeft': '←',
+    'ArrowRight': '→',
+    ' ': 'Space'
+};
+
+class InputBindings {
+    /**
+     * Default bindings
+     * @returns {Object} - Bindings as { keys, gamepad, media }, each mapping an input to a command name
+     */
+    static defaults() {
+        return {
+            keys: { ...DEFAULT_KEY_BINDINGS },
+            gamepad: { ...DEFAULT_GAMEPAD_BINDINGS },
+            media: { ...DEFAULT_MEDIA_BINDINGS }
+        };
+    }
+
+    /**
+     * Load the bindings from localStorage
+     * @returns {Object} - Bindings as { keys, gamepad, media }
+     */
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(INPUT_BINDINGS_KEY));
+            if (stored && stored.bindings) {
+                return { ...InputBindings.defaults(), ...stored.bindings };
+            }
+        } catch (error) {
+            console.warn('Could not load input bindings:', error);
+        }
+        return InputBindings.defaults();
+    }
+
+    /**
+     * Save the bindings to localStorage
+     * @param {Object} bindings - Bindings as { keys, gamepad, media }
+     */
+    static save(bindings) {
+        localStorage.setItem(INPUT_BINDINGS_KEY, JSON.stringify({ version: 1, bindings }));
+    }
+
+    /**
+     * Name a key press the way key bindings store it
+     * @param {KeyboardEvent} event - Key event
+     * @returns {string} - KeyboardEvent.key, lowercased for letters so Shift and Caps Lock do not matter
+     */
+    static keyName(event) {
+        return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    }
+
+    /**
+     * Whether a key press belongs to the element it was typed into rather than to the remote
+     * Text fields keep every key; buttons and links keep Enter and Space, which activate them.
+     * @param {KeyboardEvent} event - Key event
+     */
+    static ownedByTarget(event) {
+        const target = event.target;
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return true;
+        return ['BUTTON', 'A'].includes(target.tagName) && (event.key === 'Enter' || event.key === ' ');
+    }
+
+    /**
+     * Human-readable name of a bound input
+     * @param {string} kind - 'keys', 'gamepad' or 'media'
+     * @param {string} input - Key name, gamepad button index or media action
+     * @returns {string} - Label for the bindings legend
+     */
+    static label(kind, input) {
+        switch (kind) {
+            case 'keys':
+                return KEY_LABELS[input] || (input.length === 1 ? input.toUpperCase() : input);
+            case 'gamepad':
+                return GAMEPAD_BUTTON_NAMES[input] || `Button ${input}`;
+            case 'media':
+                return MEDIA_ACTION_NAMES[input] || input;
+            default:
+                return input;
+        }
+    }
+}
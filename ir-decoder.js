@@ -0,0 +1,562 @@
+/**
+ * IR Signal Decoder - learns codes from recordings
+ * Recovers mark/space timings from audio and decodes NEC, Samsung32, Sony SIRC and Philips RC5/RC6 frames
+ */
+
+// Spaces longer than this end a frame
+const FRAME_GAP = 5500;
+
+// Lowest carrier IR remotes use, in Hz; a slower reading is an alias
+const MIN_CARRIER = 30000;
+
+class IRDecoder {
+    /**
+     * Record from the microphone or line-in
+     * Runs its own AudioContext at the input's native rate, since some browsers cannot mix rates
+     * @param {number} duration - Recording length in ms
+     * @param {Function} onStart - Called once recording has started
+     * @returns {Promise<Object>} - { samples, sampleRate }
+     */
+    static async recordInput(duration, onStart = () => {}) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Microphone access is not available. Open the page over HTTPS or from localhost.');
+        }
+
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+        const context = new (window.AudioContext || window.webkitAudioContext)();
+
+        try {
+            const source = context.createMediaStreamSource(stream);
+            const processor = context.createScriptProcessor(4096, 1, 1);
+            const chunks = [];
+
+            processor.onaudioprocess = event => {
+                chunks.push(new Float32Array(event.inputBuffer.getChannelData(0)));
+            };
+            source.connect(processor);
+            processor.connect(context.destination);
+
+            onStart();
+            await new Promise(resolve => setTimeout(resolve, duration));
+
+            processor.disconnect();
+            source.disconnect();
+
+            const samples = new Float32Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+            let offset = 0;
+            for (const chunk of chunks) {
+                samples.set(chunk, offset);
+                offset += chunk.length;
+            }
+
+            return { samples, sampleRate: context.sampleRate };
+        } finally {
+            stream.getTracks().forEach(track => track.stop());
+            context.close();
+        }
+    }
+
+    /**
+     * Parse a WAV file at its own sample rate
+     * Reads 8/16/24/32-bit integer PCM and 32/64-bit float files, including WAVE_FORMAT_EXTENSIBLE
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} - { channels (Float32Array per channel), sampleRate, bitsPerSample }
+     */
+    static parseWav(buffer) {
+        const view = new DataView(buffer);
+        const text = (offset, length) => String.fromCharCode(...new Uint8Array(buffer, offset, length));
+
+        if (buffer.byteLength < 12 || text(0, 4) !== 'RIFF' || text(8, 4) !== 'WAVE') {
+            throw new Error('Not a WAV file');
+        }
+
+        let format = null;
+        let offset = 12;
+        while (offset + 8 <= buffer.byteLength) {
+            const id = text(offset, 4);
+            const size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+
+            if (id === 'fmt ') {
+                let tag = view.getUint16(body, true);
+                if (tag === 0xFFFE) {
+                    tag = view.getUint16(body + 24, true); // Sub-format GUID starts with the real tag
+                }
+                format = {
+                    tag,
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    bitsPerSample: view.getUint16(body + 14, true)
+                };
+            } else if (id === 'data') {
+                if (!format) {
+                    throw new Error('WAV file has no format chunk');
+                }
+                return IRDecoder.readWavSamples(view, body, Math.min(size, buffer.byteLength - body), format);
+            }
+
+            offset = body + size + (size % 2); // Chunks are word aligned
+        }
+
+        throw new Error('WAV file has no audio data');
+    }
+
+    /**
+     * Convert interleaved WAV sample data to one Float32Array per channel
+     */
+    static readWavSamples(view, start, size, { tag, channels, sampleRate, bitsPerSample }) {
+        const bytes = bitsPerSample / 8;
+        const readers = {
+            '1:8': offset => (view.getUint8(offset) - 128) / 128,
+            '1:16': offset => view.getInt16(offset, true) / 32768,
+            '1:24': offset => ((view.getUint8(offset + 2) << 24 | view.getUint8(offset + 1) << 16 | view.getUint8(offset) << 8) >> 8) / 8388608,
+            '1:32': offset => view.getInt32(offset, true) / 2147483648,
+            '3:32': offset => view.getFloat32(offset, true),
+            '3:64': offset => view.getFloat64(offset, true)
+        };
+        const read = readers[`${tag}:${bitsPerSample}`];
+        if (!read || !channels) {
+            throw new Error(`Unsupported WAV format (format ${tag}, ${bitsPerSample}-bit)`);
+        }
+
+        const length = Math.floor(size / (bytes * channels));
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                data[channel][i] = read(start + (i * channels + channel) * bytes);
+            }
+        }
+
+        return { channels: data, sampleRate, bitsPerSample };
+    }
+
+    /**
+     * Recover mark/space timings from recorded audio
+     * Handles both carrier bursts (photodiode, this app's own WAV files) and the demodulated
+     * square wave of an IR receiver module.
+     * @param {Float32Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} - { timings (µs, starting with a mark), start (sample index of the first mark), modulated,
+     *                     carrierFrequency (Hz, or null if unknown) }
+     */
+    static demodulate(samples, sampleRate) {
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        if (peak === 0) {
+            throw new Error('The recording is silent');
+        }
+
+        const bursts = IRDecoder.findBursts(samples, sampleRate, peak / 4);
+
+        // A carrier swings back and forth thousands of times per second inside each burst;
+        // a receiver's output only moves at the mark/space edges
+        let cycles = 0;
+        let cycleSamples = 0;
+        for (const [start, end] of bursts) {
+            let first = -1;
+            let last = -1;
+            let rises = 0;
+            for (let i = start + 1; i <= end; i++) {
+                if (samples[i - 1] < 0 && samples[i] >= 0) {
+                    if (first < 0) first = i;
+                    last = i;
+                    rises++;
+                }
+            }
+            if (rises > 1) {
+                cycles += rises - 1;
+                cycleSamples += last - first;
+            }
+        }
+        const oscillation = cycleSamples ? cycles / (cycleSamples / sampleRate) : 0;
+
+        if (oscillation > 5000) {
+            const timings = [];
+            bursts.forEach(([start, end], index) => {
+                if (index > 0) {
+                    timings.push((start - bursts[index - 1][1]) / sampleRate * 1000000);
+                }
+                timings.push((end - start + 1) / sampleRate * 1000000);
+            });
+
+            // Counting rises needs several samples per carrier period; with fewer, an aliased reading passes
+            // for a plausible carrier (a 38 kHz carrier at 96 kHz reads as 28 kHz), so none is reported
+            const measurable = sampleRate >= 192000 || (sampleRate > 4 * oscillation && oscillation >= MIN_CARRIER);
+            const carrierFrequency = measurable ? Math.round(oscillation / 100) * 100 : null;
+            return { timings, start: bursts[0][0], modulated: true, carrierFrequency };
+        }
+
+        const { timings, start } = IRDecoder.edgeTimings(samples, sampleRate);
+        return { timings, start, modulated: false, carrierFrequency: null };
+    }
+
+    /**
+     * Measure the burst around one sample: its extent, and the frequency and duty cycle of its carrier
+     * Rising edges through half the local peak mark the carrier periods; the duty cycle is the share of
+     * each period spent above that level. Both describe the channel as recorded, so a half-carrier drive
+     * reads as half the carrier frequency on each channel.
+     * @param {Float32Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} index - Sample to measure at
+     * @returns {Object|null} - { start, end (burst samples), frequency (Hz), dutyCycle (0-1), level } or null in silence;
+     *                          frequency and dutyCycle are null when the burst has fewer than two carrier periods
+     */
+    static measureCarrier(samples, sampleRate, index) {
+        // Local level: loudest sample within 2ms
+        const reach = Math.round(sampleRate * 0.002);
+        let level = 0;
+        for (let i = Math.max(0, index - reach); i < Math.min(samples.length, index + reach); i++) {
+            level = Math.max(level, Math.abs(samples[i]));
+        }
+        if (level < 0.01) return null;
+
+        // Burst extent: loud samples with no hole longer than 200µs, as in findBursts
+        const threshold = level / 2;
+        const maxHole = Math.max(2, Math.round(sampleRate * 0.0002));
+        const loud = i => Math.abs(samples[i]) >= threshold;
+        let start = -1;
+        let end = -1;
+        for (let i = index, quiet = 0; i >= 0 && quiet <= maxHole; i--) {
+            if (loud(i)) {
+                start = i;
+                quiet = 0;
+            } else {
+                quiet++;
+            }
+        }
+        for (let i = index, quiet = 0; i < samples.length && quiet <= maxHole; i++) {
+            if (loud(i)) {
+                end = i;
+                quiet = 0;
+            } else {
+                quiet++;
+            }
+        }
+        if (start < 0 || end < 0) return null;
+
+        const rises = [];
+        for (let i = start + 1; i <= end; i++) {
+            if (samples[i - 1] < threshold && samples[i] >= threshold) rises.push(i);
+        }
+        if (rises.length < 2) {
+            return { start, end, frequency: null, dutyCycle: null, level };
+        }
+
+        // Average over up to 64 periods around the measured sample; edges fall on whole samples,
+        // so a few periods alone would round the frequency to a coarse step
+        const nearest = Math.max(0, rises.findIndex(rise => rise >= index));
+        const first = Math.max(0, Math.min(nearest - 32, rises.length - 65));
+        const last = Math.min(rises.length - 1, first + 64);
+        let on = 0;
+        for (let i = rises[first]; i < rises[last]; i++) {
+            if (samples[i] >= threshold) on++;
+        }
+
+        const span = rises[last] - rises[first];
+        return {
+            start,
+            end,
+            frequency: sampleRate * (last - first) / span,
+            dutyCycle: on / span,
+            level
+        };
+    }
+
+    /**
+     * Find carrier bursts: runs of loud samples with no silence longer than 200µs inside
+     * @returns {Array<Array>} - [firstSample, lastSample] pairs
+     */
+    static findBursts(samples, sampleRate, threshold) {
+        const maxHole = Math.max(2, Math.round(sampleRate * 0.0002));
+        const minLength = sampleRate * 0.00005; // Ignore clicks shorter than 50µs
+        const bursts = [];
+        let start = -1;
+        let last = -1;
+
+        for (let i = 0; i < samples.length; i++) {
+            if (Math.abs(samples[i]) < threshold) continue;
+
+            if (start >= 0 && i - last > maxHole) {
+                if (last - start >= minLength) bursts.push([start, last]);
+                start = -1;
+            }
+            if (start < 0) start = i;
+            last = i;
+        }
+        if (start >= 0 && last - start >= minLength) bursts.push([start, last]);
+
+        return bursts;
+    }
+
+    /**
+     * Recover timings from an IR receiver's demodulated output
+     * Steps between mark and space levels show up as steep slopes even through an AC-coupled input.
+     * The first edge is taken as the start of a mark, since the line idles at the space level.
+     * @returns {Object} - { timings (alternating mark/space durations in µs), start (sample index of the first edge) }
+     */
+    static edgeTimings(samples, sampleRate) {
+        let steepest = 0;
+        for (let i = 1; i < samples.length; i++) {
+            steepest = Math.max(steepest, Math.abs(samples[i] - samples[i - 1]));
+        }
+
+        const threshold = steepest * 0.3;
+        const minSpacing = sampleRate * 0.00005;
+        const edges = [];
+        let lastSign = 0;
+        let lastEdge = -Infinity;
+
+        for (let i = 1; i < samples.length; i++) {
+            const slope = samples[i] - samples[i - 1];
+            if (Math.abs(slope) < threshold || i - lastEdge < minSpacing) continue;
+
+            // Edges must alternate; a second edge in the same direction is ringing
+            const sign = Math.sign(slope);
+            if (sign !== lastSign) {
+                edges.push(i);
+                lastSign = sign;
+            }
+            lastEdge = i;
+        }
+
+        // An unfinished last mark cannot be measured
+        if (edges.length % 2 === 1) edges.pop();
+
+        return {
+            timings: edges.slice(1).map((edge, i) => (edge - edges[i]) / sampleRate * 1000000),
+            start: edges.length ? edges[0] : 0
+        };
+    }
+
+    /**
+     * Split timings into frames at long spaces
+     * @param {number[]} timings - Alternating mark/space durations in µs, starting with a mark
+     * @returns {Array<Object>} - Frames as { timings, offset }, each starting and ending with a mark;
+     *                           offset is the µs from the first mark to the frame
+     */
+    static splitFrames(timings) {
+        const frames = [];
+        let frame = { timings: [], offset: 0 };
+        let time = 0;
+
+        timings.forEach((duration, i) => {
+            time += duration;
+            if (i % 2 === 1 && duration > FRAME_GAP) {
+                frames.push(frame);
+                frame = { timings: [], offset: time };
+            } else {
+                frame.timings.push(duration);
+            }
+        });
+        if (frame.timings.length) frames.push(frame);
+
+        return frames;
+    }
+
+    /**
+     * Decode recovered timings into a protocol and code
+     * Repeat frames (NEC repeat codes, resent SIRC/RC5/RC6 frames) are counted, not returned twice.
+     * @param {number[]} timings - Alternating mark/space durations in µs, starting with a mark
+     * @param {number|null} carrierFrequency - Measured carrier in Hz, used for raw fallbacks
+     * @returns {Object} - { protocol, code, address, command, timings, frames, frameTimings } or a 'raw' result when
+     *                     no protocol matches; timings are those of the decoded frame, frameTimings lists every
+     *                     frame as { offset, timings } in µs from the first mark
+     */
+    static decode(timings, carrierFrequency = null) {
+        // Lone marks are warm-up bursts or clicks, not frames
+        const frames = IRDecoder.splitFrames(timings).filter(frame => frame.timings.length > 2);
+        if (!frames.length) {
+            throw new Error('No IR frames found in the recording');
+        }
+
+        const frameTimings = frames.map(frame => ({ offset: Math.round(frame.offset), timings: frame.timings.map(Math.round) }));
+
+        for (const { timings: frame } of frames) {
+            const decoded = IRDecoder.decodeNEC(frame) || IRDecoder.decodeSIRC(frame)
+                || IRDecoder.decodeRC5(frame) || IRDecoder.decodeRC6(frame);
+            if (decoded) {
+                return { ...decoded, timings: frame.map(Math.round), frames: frames.length, frameTimings };
+            }
+        }
+
+        // Unknown protocol: keep the first frame as raw timings
+        const raw = frameTimings[0].timings;
+        return {
+            protocol: 'raw',
+            code: { timings: raw, carrierFrequency: carrierFrequency || 38000 },
+            timings: raw,
+            frames: frames.length,
+            frameTimings
+        };
+    }
+
+    /**
+     * Check a measured duration against a nominal one (±30%)
+     */
+    static near(duration, nominal) {
+        return Math.abs(duration - nominal) <= nominal * 0.3;
+    }
+
+    /**
+     * Decode an NEC, NEC Extended or Samsung32 frame (IRremote LSB layout)
+     */
+    static decodeNEC(frame) {
+        if (frame.length !== 67) return null;
+
+        const samsung = IRDecoder.near(frame[0], 4500);
+        if (!samsung && !IRDecoder.near(frame[0], 9000)) return null;
+        if (!IRDecoder.near(frame[1], 4500)) return null;
+
+        let code = 0;
+        for (let bit = 0; bit < 32; bit++) {
+            const mark = frame[2 + bit * 2];
+            const space = frame[3 + bit * 2];
+            if (!IRDecoder.near(mark, 560)) return null;
+
+            if (IRDecoder.near(space, 1690)) {
+                code |= 1 << bit;
+            } else if (!IRDecoder.near(space, 560)) {
+                return null;
+            }
+        }
+        code >>>= 0;
+
+        const [byte0, byte1, byte2] = [0, 8, 16].map(shift => (code >>> shift) & 0xFF);
+        let protocol = 'nec';
+        if (samsung) {
+            protocol = 'samsung32';
+        } else if (byte1 !== (~byte0 & 0xFF)) {
+            protocol = 'nec-extended';
+        }
+
+        return {
+            protocol,
+            code,
+            address: protocol === 'nec-extended' ? (byte1 << 8) | byte0 : byte0,
+            command: byte2
+        };
+    }
+
+    /**
+     * Decode a Sony SIRC frame (12, 15 or 20 bits)
+     */
+    static decodeSIRC(frame) {
+        const bits = (frame.length - 1) / 2;
+        if (![12, 15, 20].includes(bits) || !IRDecoder.near(frame[0], 2400)) return null;
+
+        let data = 0;
+        for (let bit = 0; bit < bits; bit++) {
+            const space = frame[1 + bit * 2];
+            const mark = frame[2 + bit * 2];
+            if (!IRDecoder.near(space, 600)) return null;
+
+            if (IRDecoder.near(mark, 1200)) {
+                data |= 1 << bit;
+            } else if (!IRDecoder.near(mark, 600)) {
+                return null;
+            }
+        }
+
+        const command = data & 0x7F;
+        const device = bits === 15 ? (data >> 7) & 0xFF : (data >> 7) & 0x1F;
+        const code = bits === 12 ? { device, command } : { device, command, bits, extended: bits === 20 ? (data >> 12) & 0xFF : 0 };
+
+        return { protocol: 'sirc', code, address: device, command };
+    }
+
+    /**
+     * Expand bi-phase timings into half-bit levels (true = mark)
+     * @returns {boolean[]|null} - Levels, or null if a duration is not a whole number of half-bits
+     */
+    static biphaseLevels(frame, unit, maxUnits) {
+        const levels = [];
+        for (let i = 0; i < frame.length; i++) {
+            const units = Math.round(frame[i] / unit);
+            if (units < 1 || units > maxUnits || !IRDecoder.near(frame[i], units * unit)) return null;
+            for (let u = 0; u < units; u++) levels.push(i % 2 === 0);
+        }
+        return levels;
+    }
+
+    /**
+     * Decode a Philips RC5 frame
+     */
+    static decodeRC5(frame) {
+        const levels = IRDecoder.biphaseLevels(frame, 889, 2);
+        if (!levels) return null;
+
+        // The first start bit is '1' (space then mark), so its leading space is invisible
+        levels.unshift(false);
+        while (levels.length < 28) levels.push(false);
+        if (levels.length !== 28) return null;
+
+        const bits = [];
+        for (let i = 0; i < 28; i += 2) {
+            if (levels[i] === levels[i + 1]) return null;
+            bits.push(levels[i + 1] ? 1 : 0);
+        }
+
+        const value = (from, count) => bits.slice(from, from + count).reduce((sum, bit) => (sum << 1) | bit, 0);
+        const address = value(3, 5);
+        const command = value(8, 6) | (bits[1] ? 0 : 0x40);
+
+        return { protocol: 'rc5', code: { address, command }, address, command };
+    }
+
+    /**
+     * Decode a Philips RC6 frame (mode 0 or 6A)
+     */
+    static decodeRC6(frame) {
+        if (!IRDecoder.near(frame[0], 2664) || !IRDecoder.near(frame[1], 888)) return null;
+
+        // Leader skipped; the start bit's mark may merge with the next half, so allow up to 3 units
+        const levels = IRDecoder.biphaseLevels(frame.slice(2), 444, 3);
+        if (!levels) return null;
+
+        const readBit = (at, width) => {
+            const first = levels[at];
+            const second = at + width < levels.length ? levels[at + width] : false;
+            for (let u = 1; u < width; u++) {
+                if (levels[at + u] !== first || (at + width + u < levels.length && levels[at + width + u] !== second)) return null;
+            }
+            return first === second ? null : (first ? 1 : 0);
+        };
+
+        // Start bit, 3 mode bits, then the double-width trailer bit
+        if (readBit(0, 1) !== 1) return null;
+        const modeBits = [readBit(2, 1), readBit(4, 1), readBit(6, 1)];
+        const trailer = readBit(8, 2);
+        if (modeBits.includes(null) || trailer === null) return null;
+
+        const mode = (modeBits[0] << 2) | (modeBits[1] << 1) | modeBits[2];
+        const dataBits = mode === 0 ? 16 : 32;
+        if (mode !== 0 && mode !== 6) return null;
+
+        // A trailing '1' bit ends in a space that merged into the gap, so the last half may be missing
+        if (levels.length < 12 + dataBits * 2 - 1) return null;
+
+        let data = 0;
+        for (let bit = 0; bit < dataBits; bit++) {
+            const value = readBit(12 + bit * 2, 1);
+            if (value === null) return null;
+            data = (data * 2) + value;
+        }
+        if (levels.length > 12 + dataBits * 2) return null;
+
+        if (mode === 0) {
+            const address = (data >> 8) & 0xFF;
+            const command = data & 0xFF;
+            return { protocol: 'rc6', code: { address, command }, address, command };
+        }
+
+        const customer = Math.floor(data / 0x10000);
+        const address = (data >> 8) & 0x7F;
+        const command = data & 0xFF;
+        const code = customer === 0x800F ? { address, command, mode } : { address, command, mode, customer };
+        return { protocol: 'rc6', code, address, command };
+    }
+}
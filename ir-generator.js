@@ -1,194 +1,1071 @@
 /**
- * IR Signal Generator - NEC Protocol Implementation
+ * IR Signal Generator - NEC, Samsung32, Sony SIRC and Philips RC5/RC6 Protocol Implementation
  * Generates audio signals that can be used as IR commands
  */
 
+// Ways of driving an IR LED from the two audio channels
+const DRIVER_MODES = {
+    'differential': {
+        name: 'Differential L/R',
+        description: 'LED between left and right; the channels swing in opposite phase for twice the voltage'
+    },
+    'single': {
+        name: 'Single Channel',
+        description: 'LED between left and ground; the right channel stays silent'
+    },
+    'half-carrier': {
+        name: 'Half Carrier (LED pair)',
+        description: 'Two LEDs in anti-parallel between left and right; each channel runs at half the carrier and the pair lights on alternate half-cycles'
+    }
+};
+
+// Default driver: differential drive at ±0.9 with a 70% duty carrier and ±0.05 balanced spaces
+const DEFAULT_DRIVER = {
+    mode: 'differential',
+    amplitude: 0.9,
+    dutyCycle: 0.7,
+    silentSpaces: false
+};
+
+// Sample rates offered for exported WAV files
+const EXPORT_SAMPLE_RATES = [44100, 48000, 96000, 192000];
+
+// WAV sample formats: format tag 1 is integer PCM, 3 is IEEE float
+const WAV_FORMATS = {
+    'pcm16': { name: '16-bit PCM', bitsPerSample: 16, formatTag: 1 },
+    'pcm24': { name: '24-bit PCM', bitsPerSample: 24, formatTag: 1 },
+    'float32': { name: '32-bit float', bitsPerSample: 32, formatTag: 3 }
+};
+
+// Protocols a button or command line code can use, with the code notation parseCode expects
+const BUTTON_PROTOCOLS = {
+    'nec': { name: 'NEC', placeholder: '0x20DF10EF or 0x04/0x08' },
+    'nec-extended': { name: 'NEC Extended', placeholder: '0x57E3E817 or 0xC7EA/0x17' },
+    'samsung32': { name: 'Samsung32', placeholder: '0xE0E040BF or 0x07/0x02' },
+    'sirc': { name: 'Sony SIRC', placeholder: 'device:command[:bits[:extended]], e.g. 1:21' },
+    'rc5': { name: 'Philips RC5', placeholder: 'address:command, e.g. 0:12' },
+    'rc6': { name: 'Philips RC6', placeholder: 'address:command[:mode], e.g. 0:12' },
+    'raw': { name: 'Raw Timings', placeholder: '+9000 -4500 +560 -560 ... (uses the current carrier)' },
+    'pronto': { name: 'Pronto Hex', placeholder: '0000 006D 0022 0002 ...' }
+};
+
+// Protocols sent as a 32-bit NEC-style frame
+const NEC_FRAMINGS = ['nec', 'nec-extended', 'samsung32'];
+
+// Notations a NEC-family code can be written in (see IRGenerator.parseNotation)
+const CODE_NOTATIONS = {
+    'msb': 'MSB Hex',
+    'lsb': 'IRremote LSB',
+    'pair': 'Address/Command',
+    'decimal': 'Address/Command (decimal)',
+    'prefixed': 'Protocol:Address:Command'
+};
+
+// Other spellings of protocol names in protocol:address:command codes, as Flipper Zero and IRremote write them
+const PROTOCOL_ALIASES = {
+    'necext': 'nec-extended',
+    'necx': 'nec-extended',
+    'samsung': 'samsung32',
+    'sony': 'sirc'
+};
+
 class IRGenerator {
-    constructor(carrierFrequency = 38) {
+    /**
+     * @param {number} carrierFrequency - Carrier frequency in kHz
+     * @param {Object} driver - Driver settings { mode, amplitude, dutyCycle, silentSpaces } (see DEFAULT_DRIVER)
+     * @param {number} timingCompensation - Mark/space stretch factor from the device calibration (default 1)
+     * @param {number} sampleRate - Output sample rate in Hz (default 192000)
+     */
+    constructor(carrierFrequency = 38, driver = {}, timingCompensation = 1, sampleRate = 192000) {
         this.carrierFrequency = carrierFrequency * 1000; // Convert kHz to Hz
-        this.sampleRate = 192000; // High sample rate for better quality
-        this.dutyCycle = 0.33; // 33% duty cycle for IR carrier
-        this.timingCompensation = 1.035; // Compensate for iOS audio resampling (~3.5% slower)
+        this.sampleRate = sampleRate; // High sample rate for better quality; lower rates are for exports
+        this.driver = { ...DEFAULT_DRIVER, ...driver };
+        this.timingCompensation = timingCompensation; // Compensates for the output stretching or shrinking timings
+        this.toggle = 0; // RC5/RC6 toggle bit, flipped on every new key press
     }
 
     /**
      * Generate a modulated pulse
      * @param {number} duration - Duration in microseconds
      * @param {boolean} modulated - Whether to modulate with carrier frequency
+     * @param {number} carrierFrequency - Carrier frequency in Hz (defaults to the generator's carrier)
      * @returns {Float32Array} - Audio samples
      */
-    generatePulse(duration, modulated = true) {
-        // Apply timing compensation to account for iOS audio resampling
-        const compensatedDuration = duration * this.timingCompensation;
-        const samples = Math.floor((compensatedDuration / 1000000) * this.sampleRate);
+    generatePulse(duration, modulated = true, carrierFrequency = this.carrierFrequency) {
+        const samples = this.pulseSamples(duration);
         const pulseL = new Float32Array(samples);
         const pulseR = new Float32Array(samples);
 
         if (modulated) {
-            // IR burst: 38kHz with 70% duty cycle - LED on longer than off
-            const carrierPeriod = this.sampleRate / this.carrierFrequency;
-            const onDuration = carrierPeriod * 0.7; // 70% duty cycle
-
-            for (let i = 0; i < samples; i++) {
-                const positionInPeriod = i % carrierPeriod;
-                if (positionInPeriod < onDuration) {
-                    // LED ON: L positive, R negative
-                    pulseL[i] = 0.9;
-                    pulseR[i] = -0.9;
-                } else {
-                    // LED OFF: L negative, R positive (brief reverse bias)
-                    pulseL[i] = -0.9;
-                    pulseR[i] = 0.9;
-                }
-            }
-        } else {
+            // IR burst: carrier at the driver's amplitude and duty cycle
+            this.fillCarrier(pulseL, pulseR, carrierFrequency, this.driver.amplitude, this.driver.dutyCycle);
+        } else if (!this.driver.silentSpaces) {
             // Space: Balanced 50% duty cycle with low amplitude (averages to minimal LED activation)
-            const carrierPeriod = this.sampleRate / this.carrierFrequency;
+            this.fillCarrier(pulseL, pulseR, carrierFrequency, 0.05, 0.5);
+        }
+
+        return { left: pulseL, right: pulseR };
+    }
 
-            for (let i = 0; i < samples; i++) {
-                const positionInPeriod = i % carrierPeriod;
-                if (positionInPeriod < carrierPeriod / 2) {
-                    pulseL[i] = 0.05;
-                    pulseR[i] = -0.05;
+    /**
+     * Number of samples a mark or space of the given duration takes
+     * @param {number} duration - Duration in microseconds
+     * @returns {number} - Sample count
+     */
+    pulseSamples(duration) {
+        // Apply timing compensation measured by the device calibration
+        const compensatedDuration = duration * this.timingCompensation;
+        return Math.floor((compensatedDuration / 1000000) * this.sampleRate);
+    }
+
+    /**
+     * Fill left and right channels with carrier according to the driver mode
+     * @param {Float32Array} left - Left channel samples to fill
+     * @param {Float32Array} right - Right channel samples to fill
+     * @param {number} carrierFrequency - Carrier frequency in Hz
+     * @param {number} level - Peak level (0-1)
+     * @param {number} duty - Fraction of each carrier period the LED is on
+     */
+    fillCarrier(left, right, carrierFrequency, level, duty) {
+        const { mode } = this.driver;
+        const carrierPeriod = this.sampleRate / carrierFrequency;
+        const onDuration = carrierPeriod * duty;
+
+        for (let i = 0; i < left.length; i++) {
+            let value;
+            if (mode === 'half-carrier') {
+                // Each channel runs at half the carrier: one LED lights on the positive half-cycle,
+                // the other on the negative one, so together they flash at the full carrier
+                const position = i % (carrierPeriod * 2);
+                if (position < onDuration) {
+                    value = level;
+                } else if (position >= carrierPeriod && position < carrierPeriod + onDuration) {
+                    value = -level;
                 } else {
-                    pulseL[i] = -0.05;
-                    pulseR[i] = 0.05;
+                    value = 0;
                 }
+            } else {
+                // LED ON: L positive; LED OFF: L negative (brief reverse bias keeps AC-coupled outputs centred)
+                value = i % carrierPeriod < onDuration ? level : -level;
             }
+
+            left[i] = value;
+            right[i] = mode === 'single' ? 0 : -value;
         }
+    }
 
-        return { left: pulseL, right: pulseR };
+    /**
+     * Generate silence (no carrier, no timing compensation)
+     * @param {number} duration - Duration in microseconds
+     * @returns {Object} - Silent left and right channel samples
+     */
+    generateSilence(duration) {
+        const samples = Math.floor((duration / 1000000) * this.sampleRate);
+        return { left: new Float32Array(samples), right: new Float32Array(samples) };
     }
 
     /**
-     * Generate NEC protocol command
-     * @param {number} address - 8-bit address
-     * @param {number} command - 8-bit command
-     * @param {number} repeatCount - Number of times to repeat the command (default 5)
-     * @returns {Float32Array} - Complete IR signal
+     * Concatenate signal segments into one signal
+     * @param {Array<Object>} segments - Segments with left and right channels
+     * @returns {Object} - Combined signal with left and right channels
      */
-    generateNECCommand(address, command, repeatCount = 5) {
-        const allSegmentsL = [];
-        const allSegmentsR = [];
+    combineSegments(segments) {
+        const totalLength = segments.reduce((sum, seg) => sum + seg.left.length, 0);
+        const signalL = new Float32Array(totalLength);
+        const signalR = new Float32Array(totalLength);
+
+        let offset = 0;
+        for (const segment of segments) {
+            signalL.set(segment.left, offset);
+            signalR.set(segment.right, offset);
+            offset += segment.left.length;
+        }
+
+        return { left: signalL, right: signalR };
+    }
+
+    /**
+     * Render IR frames into a complete signal
+     * Each frame is a list of alternating mark/space durations in microseconds (starting with a mark),
+     * followed by `gap` microseconds of silence before the next frame. Frames may carry a `layout`
+     * describing their bits (see frameTimeline).
+     * @param {Array<Object>} frames - Frames as { timings, gap, layout }
+     * @param {number} carrierFrequency - Carrier frequency in Hz
+     * @returns {Object} - Complete IR signal with left and right channels, plus the frames and carrier it was built from
+     *                     and a timeline of every section as { type, start, end } in samples
+     */
+    renderFrames(frames, carrierFrequency = this.carrierFrequency) {
+        const segments = [];
+        const timeline = [];
+        let offset = 0;
+
+        const append = (segment, type = null) => {
+            segments.push(segment);
+            if (type) {
+                timeline.push({ type, start: offset, end: offset + segment.left.length });
+            }
+            offset += segment.left.length;
+        };
 
         // Add 100ms of silence at the very beginning to let audio system stabilize
         // This prevents startup artifacts from corrupting the AGC burst
-        const leadingSilenceSamples = Math.floor((100000 / 1000000) * this.sampleRate);
-        const leadingSilenceL = new Float32Array(leadingSilenceSamples);
-        const leadingSilenceR = new Float32Array(leadingSilenceSamples);
-        leadingSilenceL.fill(0);
-        leadingSilenceR.fill(0);
-        allSegmentsL.push(leadingSilenceL);
-        allSegmentsR.push(leadingSilenceR);
+        append(this.generateSilence(100000), 'lead');
 
         // Add a "warm-up" pulse to stabilize the audio amplifier
         // A brief carrier burst helps iOS audio processing lock on before the real signal
-        const warmupPulse = this.generatePulse(5000, true); // 5ms warmup burst
-        allSegmentsL.push(warmupPulse.left);
-        allSegmentsR.push(warmupPulse.right);
+        append(this.generatePulse(5000, true, carrierFrequency), 'warmup'); // 5ms warmup burst
 
         // Short gap after warmup
-        const warmupGapSamples = Math.floor((10000 / 1000000) * this.sampleRate);
-        const warmupGapL = new Float32Array(warmupGapSamples);
-        const warmupGapR = new Float32Array(warmupGapSamples);
-        warmupGapL.fill(0);
-        warmupGapR.fill(0);
-        allSegmentsL.push(warmupGapL);
-        allSegmentsR.push(warmupGapR);
-
-        // Generate the command repeatCount times
-        for (let repeat = 0; repeat < repeatCount; repeat++) {
-            const segmentsL = [];
-            const segmentsR = [];
-
-            // AGC burst: 9ms pulse + 4.5ms space
-            let pulse = this.generatePulse(9000, true);
-            segmentsL.push(pulse.left);
-            segmentsR.push(pulse.right);
-
-            pulse = this.generatePulse(4500, false);
-            segmentsL.push(pulse.left);
-            segmentsR.push(pulse.right);
-
-            // Data bits (32 bits total)
-            // Address + ~Address + Command + ~Command
-            const data = [
-                address,
-                (~address) & 0xFF,
-                command,
-                (~command) & 0xFF
-            ];
-
-            for (const byte of data) {
-                for (let bit = 0; bit < 8; bit++) {
-                    const bitValue = (byte >> bit) & 1;
-
-                    // All bits start with 562.5µs pulse
-                    pulse = this.generatePulse(562.5, true);
-                    segmentsL.push(pulse.left);
-                    segmentsR.push(pulse.right);
-
-                    // Logical '1': 1687.5µs space
-                    // Logical '0': 562.5µs space
-                    const spaceTime = bitValue ? 1687.5 : 562.5;
-                    pulse = this.generatePulse(spaceTime, false);
-                    segmentsL.push(pulse.left);
-                    segmentsR.push(pulse.right);
+        append(this.generateSilence(10000), 'gap');
+
+        // Sample index where each frame starts
+        const frameOffsets = [];
+
+        frames.forEach((frame, index) => {
+            frameOffsets.push(offset);
+            timeline.push(...this.frameTimeline(frame, offset, index));
+
+            this.frameSegments(frame, carrierFrequency).forEach(segment => append(segment));
+
+            // Add gap between frames, except after the last one
+            if (index < frames.length - 1) {
+                append(this.generateSilence(frame.gap), 'gap');
+            }
+        });
+
+        // Add final silence at the end (40ms)
+        append(this.generateSilence(40000), 'tail');
+
+        const signal = this.combineSegments(segments);
+        signal.frames = frames;
+        signal.frameOffsets = frameOffsets;
+        signal.timeline = timeline;
+        signal.carrierFrequency = carrierFrequency;
+        return signal;
+    }
+
+    /**
+     * Place a frame's layout on the sample grid
+     * A layout lists the parts of a frame in transmission order as { type, duration (µs), ...details },
+     * e.g. { type: 'bit', field: 'Command', bit: 17, value: 1, duration: 2250 }. Part boundaries
+     * inside a mark or space (bi-phase bits) are placed proportionally; frames without a layout
+     * become a single 'frame' entry.
+     * @param {Object} frame - Frame as { timings, gap, layout }
+     * @param {number} start - Sample index where the frame starts
+     * @param {number} index - Frame number within the signal
+     * @returns {Array<Object>} - Timeline entries as { type, frame, start, end, ...details } in samples
+     */
+    frameTimeline(frame, start, index) {
+        const { timings } = frame;
+        const total = timings.reduce((sum, duration) => sum + duration, 0);
+        const layout = frame.layout || [{ type: 'frame', duration: total }];
+
+        // Sample index at a time (µs) into the frame, rounded exactly as generatePulse rounds each segment
+        const at = time => {
+            let position = start;
+            let elapsed = 0;
+            for (const duration of timings) {
+                const samples = this.pulseSamples(duration);
+                if (time < elapsed + duration) {
+                    return position + Math.floor((time - elapsed) / duration * samples);
                 }
+                position += samples;
+                elapsed += duration;
             }
+            return position;
+        };
+
+        let time = 0;
+        return layout.map(({ duration, ...details }) => {
+            const entry = { ...details, frame: index, start: at(time), end: at(time + duration) };
+            time += duration;
+            return entry;
+        });
+    }
 
-            // Final stop burst
-            pulse = this.generatePulse(562.5, true);
-            segmentsL.push(pulse.left);
-            segmentsR.push(pulse.right);
-
-            // Add all segments from this command to the main array
-            allSegmentsL.push(...segmentsL);
-            allSegmentsR.push(...segmentsR);
-
-            // Add gap between repeats (40ms), except after the last repeat
-            if (repeat < repeatCount - 1) {
-                const gapSamples = Math.floor((40000 / 1000000) * this.sampleRate);
-                const gapL = new Float32Array(gapSamples);
-                const gapR = new Float32Array(gapSamples);
-                gapL.fill(0);
-                gapR.fill(0);
-                allSegmentsL.push(gapL);
-                allSegmentsR.push(gapR);
+    /**
+     * Render the marks and spaces of one frame
+     * @param {Object} frame - Frame as { timings, gap }
+     * @param {number} carrierFrequency - Carrier frequency in Hz
+     * @returns {Array<Object>} - Signal segments, without the trailing gap
+     */
+    frameSegments(frame, carrierFrequency = this.carrierFrequency) {
+        // Even entries are marks (carrier on), odd entries are spaces
+        return frame.timings.map((duration, i) => this.generatePulse(duration, i % 2 === 0, carrierFrequency));
+    }
+
+    /**
+     * Render one frame followed by its gap, with no lead-in or tail, so it can be looped seamlessly
+     * @param {Object} frame - Frame as { timings, gap }
+     * @param {number} carrierFrequency - Carrier frequency in Hz
+     * @returns {Object} - One frame period with left and right channels
+     */
+    renderLoop(frame, carrierFrequency = this.carrierFrequency) {
+        return this.combineSegments([
+            ...this.frameSegments(frame, carrierFrequency),
+            this.generateSilence(frame.gap)
+        ]);
+    }
+
+    /**
+     * Render a sequence of key presses, such as a macro, into one signal
+     * Every press is a complete renderFrames signal (lead-in, warm-up and tail included),
+     * followed by `delay` microseconds of silence unless it is the last one.
+     * @param {Array<Object>} presses - Presses as { frames, carrierFrequency, delay }
+     * @returns {Object} - Combined signal with left and right channels, the presses and a timeline of every section
+     */
+    renderSequence(presses) {
+        const segments = [];
+        const timeline = [];
+        let offset = 0;
+
+        presses.forEach((press, index) => {
+            const signal = this.renderFrames(press.frames, press.carrierFrequency);
+            segments.push(signal);
+            timeline.push(...signal.timeline.map(entry => ({ ...entry, start: entry.start + offset, end: entry.end + offset })));
+            offset += signal.left.length;
+
+            if (index < presses.length - 1) {
+                const delay = this.generateSilence(press.delay);
+                segments.push(delay);
+                timeline.push({ type: 'gap', start: offset, end: offset + delay.left.length });
+                offset += delay.left.length;
             }
+        });
+
+        const signal = this.combineSegments(segments);
+        signal.presses = presses;
+        signal.timeline = timeline;
+        return signal;
+    }
+
+    /**
+     * Render a signal again with this generator's settings, e.g. at another sample rate
+     * The carrier is synthesized directly at the new rate rather than resampled, so its frequency
+     * and the mark/space timings stay exact.
+     * @param {Object} signal - Signal from renderFrames or renderSequence
+     * @returns {Object} - New signal with the same frames
+     */
+    resynthesize(signal) {
+        if (signal.presses) {
+            return this.renderSequence(signal.presses);
+        }
+        if (!signal.frames) {
+            throw new Error('This signal has no frames to render again');
         }
+        return this.renderFrames(signal.frames, signal.carrierFrequency);
+    }
 
-        // Add final silence at the end (40ms)
-        const silenceSamples = Math.floor((40000 / 1000000) * this.sampleRate);
-        const silenceL = new Float32Array(silenceSamples);
-        const silenceR = new Float32Array(silenceSamples);
-        silenceL.fill(0);
-        silenceR.fill(0);
-        allSegmentsL.push(silenceL);
-        allSegmentsR.push(silenceR);
-
-        // Combine all segments
-        const totalLength = allSegmentsL.reduce((sum, seg) => sum + seg.length, 0);
-        const signalL = new Float32Array(totalLength);
-        const signalR = new Float32Array(totalLength);
+    /**
+     * Parse a raw mark/space timing list
+     * Accepts microsecond durations like "+9000 -4500 +560 -560" where + is a mark and - is a space.
+     * Unsigned values alternate mark/space; adjacent durations of the same kind are merged
+     * and a leading space is dropped.
+     * @param {string} text - Whitespace or comma separated durations
+     * @returns {number[]} - Alternating mark/space durations, starting with a mark
+     */
+    static parseRawTimings(text) {
+        const tokens = text.trim().split(/[\s,]+/).filter(token => token);
+        const timings = [];
 
-        let offset = 0;
-        for (let i = 0; i < allSegmentsL.length; i++) {
-            signalL.set(allSegmentsL[i], offset);
-            signalR.set(allSegmentsR[i], offset);
-            offset += allSegmentsL[i].length;
+        for (const token of tokens) {
+            const match = token.match(/^([+-]?)(\d+(?:\.\d+)?)$/);
+            if (!match || parseFloat(match[2]) <= 0) {
+                throw new Error(`Invalid raw timing "${token}". Expected durations in µs like +9000 -4500`);
+            }
+
+            const duration = parseFloat(match[2]);
+            const isMark = match[1] ? match[1] === '+' : timings.length % 2 === 0;
+            const lastIsMark = timings.length % 2 === 1;
+
+            if (timings.length === 0 && !isMark) continue;
+
+            if (timings.length > 0 && isMark === lastIsMark) {
+                timings[timings.length - 1] += duration;
+            } else {
+                timings.push(duration);
+            }
         }
 
-        return { left: signalL, right: signalR };
+        if (timings.length === 0) {
+            throw new Error('No raw timings found. Expected durations in µs like +9000 -4500');
+        }
+
+        return timings;
+    }
+
+    /**
+     * Generate signal from raw mark/space timings
+     * @param {number[]} timings - Alternating mark/space durations in microseconds, starting with a mark
+     * @param {number} carrierFrequency - Carrier frequency in Hz (defaults to the generator's carrier)
+     * @param {number} repeatCount - Number of times to send the sequence (default 1)
+     * @returns {Object} - Complete IR signal with left and right channels
+     */
+    generateRawSignal(timings, carrierFrequency = this.carrierFrequency, repeatCount = 1) {
+        // Repeats are separated by a 40ms gap, like NEC
+        const frames = Array.from({ length: repeatCount }, () => ({ timings, gap: 40000 }));
+        return this.renderFrames(frames, carrierFrequency);
+    }
+
+    /**
+     * Parse a learned Pronto hex code
+     * Format: 0000 FFFF NNNN RRRR followed by NNNN once burst pairs and RRRR repeat burst pairs,
+     * where FFFF is the carrier period in units of 0.241246µs and each burst is counted in carrier periods
+     * @param {string} text - Pronto hex words (e.g., "0000 006D 0022 0002 ...")
+     * @returns {Object} - { carrierFrequency (Hz), once, repeat } with mark/space durations in microseconds
+     */
+    static parseProntoHex(text) {
+        const words = text.trim().split(/\s+/).filter(word => word);
+        if (words.some(word => !/^[0-9a-f]{4}$/i.test(word))) {
+            throw new Error('Invalid Pronto code. Expected 4-digit hex words (e.g., 0000 006D 0022 0002 ...)');
+        }
+
+        const values = words.map(word => parseInt(word, 16));
+        if (values.length < 4) {
+            throw new Error('Invalid Pronto code. Missing header words');
+        }
+
+        const [type, frequencyCode, onceCount, repeatCount] = values;
+        if (type !== 0x0000) {
+            throw new Error(`Unsupported Pronto type ${words[0]}. Only learned (0000) codes are supported`);
+        }
+        if (frequencyCode === 0) {
+            throw new Error('Invalid Pronto code. Carrier frequency word is zero');
+        }
+        if (values.length !== 4 + 2 * (onceCount + repeatCount)) {
+            throw new Error(`Invalid Pronto code. Header declares ${onceCount + repeatCount} burst pairs but ${(values.length - 4) / 2} were found`);
+        }
+
+        const period = frequencyCode * 0.241246; // Carrier period in µs
+        const durations = values.slice(4).map(count => count * period);
+
+        return {
+            carrierFrequency: 1000000 / period,
+            once: durations.slice(0, onceCount * 2),
+            repeat: durations.slice(onceCount * 2)
+        };
+    }
+
+    /**
+     * Encode mark/space sequences as a learned Pronto hex code
+     * @param {number} carrierFrequency - Carrier frequency in Hz
+     * @param {number[]} once - Once sequence: mark/space pairs in microseconds, ending with a space
+     * @param {number[]} repeat - Repeat sequence: mark/space pairs in microseconds, ending with a space
+     * @returns {string} - Pronto hex words
+     */
+    static toProntoHex(carrierFrequency, once, repeat = []) {
+        const frequencyCode = Math.round(1000000 / (carrierFrequency * 0.241246));
+        const period = frequencyCode * 0.241246;
+        const toCount = duration => Math.min(0xFFFF, Math.max(1, Math.round(duration / period)));
+
+        const values = [0x0000, frequencyCode, once.length / 2, repeat.length / 2, ...once.map(toCount), ...repeat.map(toCount)];
+        return values.map(value => value.toString(16).toUpperCase().padStart(4, '0')).join(' ');
+    }
+
+    /**
+     * Encode a rendered signal as a learned Pronto hex code
+     * The first frame becomes the once sequence and, for multi-frame signals, the last frame becomes the repeat sequence
+     * @param {Object} signal - Signal returned by one of the generate methods
+     * @returns {string} - Pronto hex words
+     */
+    static signalToProntoHex(signal) {
+        const { frames, carrierFrequency } = signal;
+        // Pronto pairs always end with a space, so a frame that already ends with one absorbs the gap
+        const toSequence = frame => (frame.timings.length % 2 === 0
+            ? [...frame.timings.slice(0, -1), frame.timings[frame.timings.length - 1] + frame.gap]
+            : [...frame.timings, frame.gap]);
+        const once = toSequence(frames[0]);
+        const repeat = frames.length > 1 ? toSequence(frames[frames.length - 1]) : [];
+        return IRGenerator.toProntoHex(carrierFrequency, once, repeat);
+    }
+
+    /**
+     * Generate signal from a parsed Pronto code
+     * Sends the once sequence followed by the repeat sequence repeatCount times
+     * @param {Object} pronto - Parsed Pronto code from parseProntoHex
+     * @param {number} repeatCount - Number of times to send the repeat sequence (default 1)
+     * @returns {Object} - Complete IR signal with left and right channels
+     */
+    generateProntoSignal(pronto, repeatCount = 1) {
+        // Each sequence ends with a space, which becomes the gap before the next frame
+        const toFrame = sequence => ({ timings: sequence.slice(0, -1), gap: sequence[sequence.length - 1] });
+
+        const frames = [];
+        if (pronto.once.length) {
+            frames.push(toFrame(pronto.once));
+        }
+        if (pronto.repeat.length) {
+            for (let i = 0; i < repeatCount; i++) {
+                frames.push(toFrame(pronto.repeat));
+            }
+        }
+
+        if (!frames.length) {
+            throw new Error('Pronto code has no burst pairs');
+        }
+
+        return this.renderFrames(frames, pronto.carrierFrequency);
+    }
+
+    /**
+     * Generate NEC protocol command
+     * @param {number} address - 8-bit address
+     * @param {number} command - 8-bit command
+     * @param {number} repeatCount - Number of repeat codes to send after the frame (default 0)
+     * @returns {Object} - Complete IR signal with left and right channels
+     */
+    generateNECCommand(address, command, repeatCount = 0) {
+        // Data bits (32 bits total)
+        // Address + ~Address + Command + ~Command
+        const code = (address & 0xFF)
+            | (((~address) & 0xFF) << 8)
+            | ((command & 0xFF) << 16)
+            | (((~command) & 0xFF) << 24);
+
+        return this.generateNECCode(code >>> 0, 'nec', repeatCount);
+    }
+
+    /**
+     * Build the data frame and the repeat frame of a NEC-family code
+     * All 32 bits are sent exactly as given, LSB first (bits 0-7 go out first, matching Arduino IRremote)
+     * - 'nec': Address + ~Address + Command + ~Command
+     * - 'nec-extended': 16-bit Address + Command + ~Command
+     * - 'samsung32': Address + Address + Command + ~Command with a 4.5ms + 4.5ms header
+     * @param {number} code - 32-bit code
+     * @param {string} framing - 'nec', 'nec-extended' or 'samsung32' (default 'nec')
+     * @returns {Object} - { frame, repeat } as { timings, gap, layout }
+     */
+    necFrames(code, framing = 'nec') {
+        if (!NEC_FRAMINGS.includes(framing)) {
+            throw new Error(`Invalid NEC framing: ${framing}. Expected one of ${NEC_FRAMINGS.join(', ')}`);
+        }
+
+        const samsung = framing === 'samsung32';
+
+        // AGC burst: 9ms pulse + 4.5ms space (Samsung32: 4.5ms pulse + 4.5ms space)
+        const timings = samsung ? [4500, 4500] : [9000, 4500];
+
+        // All bits start with a 562.5µs pulse (560µs on Samsung)
+        // Logical '1': 1687.5µs space (1690µs on Samsung)
+        // Logical '0': 562.5µs space (560µs on Samsung)
+        const bitMark = samsung ? 560 : 562.5;
+        const oneSpace = samsung ? 1690 : 1687.5;
+        const zeroSpace = samsung ? 560 : 562.5;
+
+        // Field of each transmitted byte
+        const fields = framing === 'nec'
+            ? ['Address', '~Address', 'Command', '~Command']
+            : ['Address', 'Address', 'Command', '~Command'];
+        const layout = [{ type: 'header', duration: timings[0] + timings[1] }];
+
+        for (let bit = 0; bit < 32; bit++) {
+            const value = (code >>> bit) & 1;
+            const space = value ? oneSpace : zeroSpace;
+            timings.push(bitMark, space);
+            layout.push({ type: 'bit', field: fields[bit >> 3], bit, value, duration: bitMark + space });
+        }
+
+        // Final stop burst
+        timings.push(bitMark);
+        layout.push({ type: 'stop', duration: bitMark });
+
+        // Frames start every 108ms. While a key is held NEC sends a repeat code
+        // (9ms pulse + 2.25ms space + stop burst); Samsung32 resends the full frame.
+        const period = 108000;
+        const frameLength = timings.reduce((sum, duration) => sum + duration, 0);
+        const frame = { timings, gap: period - frameLength, layout };
+        const repeat = samsung ? frame : {
+            timings: [9000, 2250, 562.5],
+            gap: period - 11812.5,
+            layout: [{ type: 'repeat', duration: 11812.5 }]
+        };
+
+        return { frame, repeat };
+    }
+
+    /**
+     * Generate NEC-family command from a raw 32-bit code
+     * Sends one data frame followed by repeatCount repeat frames, as if the key were held that long
+     * @param {number} code - 32-bit code
+     * @param {string} framing - 'nec', 'nec-extended' or 'samsung32' (default 'nec')
+     * @param {number} repeatCount - Number of repeat frames to send after the data frame (default 0)
+     * @returns {Object} - Complete IR signal with left and right channels
+     */
+    generateNECCode(code, framing = 'nec', repeatCount = 0) {
+        const { frame, repeat } = this.necFrames(code, framing);
+        const frames = [frame, ...Array.from({ length: repeatCount }, () => repeat)];
+        return this.renderFrames(frames);
+    }
+
+    /**
+     * Generate one loopable period of a NEC-family repeat frame, streamed while a key is held
+     * @param {number} code - 32-bit code
+     * @param {string} framing - 'nec', 'nec-extended' or 'samsung32' (default 'nec')
+     * @returns {Object} - One 108ms repeat period with left and right channels
+     */
+    generateNECRepeatLoop(code, framing = 'nec') {
+        return this.renderLoop(this.necFrames(code, framing).repeat);
+    }
+
+    /**
+     * Generate Sony SIRC protocol command
+     * @param {number} device - Device code (5 bits for 12/20-bit frames, 8 bits for 15-bit frames)
+     * @param {number} command - 7-bit command
+     * @param {number} bits - Frame length: 12, 15 or 20 bits (default 12)
+     * @param {number} extended - 8-bit extended device code (20-bit frames only)
+     * @param {number} repeatCount - Number of frames to send (SIRC receivers require at least 3)
+     * @returns {Object} - Complete IR signal with left and right channels
+     */
+    generateSIRCCommand(device, command, bits = 12, extended = 0, repeatCount = 3) {
+        if (![12, 15, 20].includes(bits)) {
+            throw new Error('Invalid SIRC frame length. Expected 12, 15 or 20 bits');
+        }
+
+        // 7 command bits, then 5 device bits (8 for 15-bit frames), then 8 extended bits (20-bit frames)
+        let data = command & 0x7F;
+        data |= (bits === 15 ? device & 0xFF : device & 0x1F) << 7;
+        if (bits === 20) {
+            data |= (extended & 0xFF) << 12;
+        }
+
+        // Header: 2.4ms mark
+        const timings = [2400];
+        const layout = [{ type: 'header', duration: 2400 }];
+        const deviceEnd = bits === 15 ? 15 : 12;
+
+        // Pulse-width encoding, LSB first: 600µs space, then 1200µs mark for '1' or 600µs mark for '0'
+        for (let bit = 0; bit < bits; bit++) {
+            const value = (data >> bit) & 1;
+            const mark = value ? 1200 : 600;
+            timings.push(600, mark);
+
+            const field = bit < 7 ? 'Command' : bit < deviceEnd ? 'Device' : 'Extended';
+            layout.push({ type: 'bit', field, bit, value, duration: 600 + mark });
+        }
+
+        // Frames start every 45ms, so the gap depends on how many '1' bits were sent
+        const frameLength = timings.reduce((sum, duration) => sum + duration, 0);
+        const frames = Array.from({ length: Math.max(repeatCount, 3) }, () => ({ timings, gap: 45000 - frameLength, layout }));
+
+        // SIRC uses a 40kHz carrier regardless of the generator's setting
+        return this.renderFrames(frames, 40000);
+    }
+
+    /**
+     * Flip the RC5/RC6 toggle bit for a new key press
+     * Receivers use the toggle to tell a new press from a held key, so it must change between presses
+     * @returns {number} - Toggle bit for this press
+     */
+    nextToggle() {
+        this.toggle ^= 1;
+        return this.toggle;
+    }
+
+    /**
+     * Convert bi-phase (Manchester) half-bits into mark/space timings
+     * Adjacent halves at the same level merge into one longer mark or space.
+     * A leading space is dropped since the frame starts at the first mark.
+     * @param {Array<Array>} halves - [isMark, duration] pairs in transmission order
+     * @returns {number[]} - Alternating mark/space durations, starting and ending with a mark
+     */
+    biphaseTimings(halves) {
+        const timings = [];
+        let level = null;
+
+        for (const [isMark, duration] of halves) {
+            if (level === null && !isMark) continue;
+
+            if (isMark === level) {
+                timings[timings.length - 1] += duration;
+            } else {
+                timings.push(duration);
+                level = isMark;
+            }
+        }
+
+        // The trailing space is part of the gap before the next frame
+        if (!level) {
+            timings.pop();
+        }
+
+        return timings;
+    }
+
+    /**
+     * Generate Philips RC5 protocol command
+     * @param {number} address - 5-bit address
+     * @param {number} command - 6-bit command (7-bit RC5X commands set the second start bit to 0)
+     * @param {number} toggle - Toggle bit (defaults to flipping for a new key press)
+     * @param {number} repeatCount - Number of frames to send (default 1)
+     * @returns {Object} - Complete IR signal with left and right channels
+     */
+    generateRC5Command(address, command, toggle = this.nextToggle(), repeatCount = 1) {
+        const unit = 889; // Half-bit time in µs
+
+        // Start bit, field bit (inverted command bit 6), toggle, 5 address bits, 6 command bits - MSB first
+        const bits = [1, ((command >> 6) & 1) ^ 1, toggle & 1];
+        for (let bit = 4; bit >= 0; bit--) bits.push((address >> bit) & 1);
+        for (let bit = 5; bit >= 0; bit--) bits.push((command >> bit) & 1);
+        const fields = ['Start', 'Field', 'Toggle', ...Array(5).fill('Address'), ...Array(6).fill('Command')];
+
+        // Logical '1': space then mark, Logical '0': mark then space
+        const halves = [];
+        for (const bit of bits) {
+            halves.push([!bit, unit], [!!bit, unit]);
+        }
+
+        // The frame starts at the start bit's mark half, since its leading space is dropped
+        const layout = bits.map((value, bit) => ({ type: 'bit', field: fields[bit], bit, value, duration: bit ? unit * 2 : unit }));
+
+        // Frames start every 113.8ms (64 bit times)
+        const timings = this.biphaseTimings(halves);
+        const frameLength = timings.reduce((sum, duration) => sum + duration, 0);
+        const frames = Array.from({ length: repeatCount }, () => ({ timings, gap: unit * 128 - frameLength, layout }));
+
+        // RC5 uses a 36kHz carrier regardless of the generator's setting
+        return this.renderFrames(frames, 36000);
+    }
+
+    /**
+     * Generate Philips RC6 protocol command
+     * Mode 0 sends 8-bit address + 8-bit command with the toggle in the trailer bit.
+     * Mode 6A (Windows Media Center) sends a 32-bit payload: 16-bit customer code,
+     * toggle, 7-bit address and 8-bit command.
+     * @param {number} address - 8-bit address (7-bit in mode 6A)
+     * @param {number} command - 8-bit command
+     * @param {number} mode - RC6 mode: 0 or 6 (default 0)
+     * @param {number} toggle - Toggle bit (defaults to flipping for a new key press)
+     * @param {number} customer - 16-bit customer code for mode 6A (default 0x800F, Microsoft)
+     * @param {number} repeatCount - Number of frames to send (default 1)
+     * @returns {Object} - Complete IR signal with left and right channels
+     */
+    generateRC6Command(address, command, mode = 0, toggle = this.nextToggle(), customer = 0x800F, repeatCount = 1) {
+        if (mode !== 0 && mode !== 6) {
+            throw new Error('Invalid RC6 mode. Expected 0 or 6');
+        }
+
+        const unit = 444; // Half-bit time in µs
+
+        // Leader: 6t mark + 2t space
+        const halves = [[true, unit * 6], [false, unit * 2]];
+        const layout = [{ type: 'header', duration: unit * 8 }];
+
+        // Logical '1': mark then space, Logical '0': space then mark
+        const pushBit = (bit, field, width = 1) => {
+            halves.push([!!bit, unit * width], [!bit, unit * width]);
+            layout.push({ type: 'bit', field, bit: layout.length - 1, value: bit, duration: unit * width * 2 });
+        };
+
+        // Start bit, then 3 mode bits (MSB first)
+        pushBit(1, 'Start');
+        for (let bit = 2; bit >= 0; bit--) pushBit((mode >> bit) & 1, 'Mode');
+
+        // Double-width trailer bit carries the toggle in mode 0; mode 6A moves it into the payload
+        pushBit(mode === 0 ? toggle & 1 : 0, mode === 0 ? 'Toggle' : 'Trailer', 2);
+
+        let data;
+        let fields;
+        if (mode === 0) {
+            data = ((address & 0xFF) << 8) | (command & 0xFF);
+            fields = [...Array(8).fill('Address'), ...Array(8).fill('Command')];
+        } else {
+            data = ((customer & 0xFFFF) << 16) | ((toggle & 1) << 15) | ((address & 0x7F) << 8) | (command & 0xFF);
+            fields = [...Array(16).fill('Customer'), 'Toggle', ...Array(7).fill('Address'), ...Array(8).fill('Command')];
+        }
+
+        fields.forEach((field, i) => pushBit((data >>> (fields.length - 1 - i)) & 1, field));
+
+        // Frames start every 107ms
+        const timings = this.biphaseTimings(halves);
+        const frameLength = timings.reduce((sum, duration) => sum + duration, 0);
+        const frames = Array.from({ length: repeatCount }, () => ({ timings, gap: 107000 - frameLength, layout }));
+
+        // RC6 uses a 36kHz carrier regardless of the generator's setting
+        return this.renderFrames(frames, 36000);
+    }
+
+    /**
+     * Parse a code in the notation of its protocol, as typed into the remote editor
+     * @param {string} protocol - Protocol (a BUTTON_PROTOCOLS key)
+     * @param {string} text - Code text
+     * @param {number} carrierFrequency - Carrier in Hz for raw timings
+     * @returns {number|Object} - Code in the shape the protocol's encoder expects
+     */
+    static parseCode(protocol, text, carrierFrequency = 38000) {
+        const fields = () => text.split(':').map(field => {
+            const value = Number(field.trim());
+            if (field.trim() === '' || Number.isNaN(value)) {
+                throw new Error(`Invalid code "${text}". Expected ${BUTTON_PROTOCOLS[protocol].placeholder}`);
+            }
+            return value;
+        });
+
+        switch (protocol) {
+            case 'nec':
+            case 'nec-extended':
+            case 'samsung32': {
+                // NEC and NEC Extended send the same frame, only the address is read differently
+                const parsed = IRGenerator.parseNotation(text, protocol);
+                if (parsed.protocol !== protocol && [parsed.protocol, protocol].some(name => !['nec', 'nec-extended'].includes(name))) {
+                    throw new Error(`"${text}" is a ${BUTTON_PROTOCOLS[parsed.protocol].name} code, not ${BUTTON_PROTOCOLS[protocol].name}`);
+                }
+                return parsed.code;
+            }
+            case 'sirc': {
+                const [device, command, bits = 12, extended = 0] = fields();
+                return bits === 12 ? { device, command } : { device, command, bits, extended };
+            }
+            case 'rc5': {
+                const [address, command] = fields();
+                return { address, command };
+            }
+            case 'rc6': {
+                const [address, command, mode = 0] = fields();
+                return mode ? { address, command, mode } : { address, command };
+            }
+            case 'raw':
+                return { timings: IRGenerator.parseRawTimings(text), carrierFrequency };
+            case 'pronto':
+                return IRGenerator.parseProntoHex(text);
+            default:
+                throw new Error(`Unsupported protocol: ${protocol}`);
+        }
+    }
+
+    /**
+     * Format a code in the notation of its protocol
+     * @param {string} protocol - Protocol (a BUTTON_PROTOCOLS key)
+     * @param {number|Object} code - Code as parseCode returns it
+     * @returns {string} - Code text
+     */
+    static formatCode(protocol, code) {
+        switch (protocol) {
+            case 'nec':
+            case 'nec-extended':
+            case 'samsung32':
+                return '0x' + IRGenerator.reverseBits(code).toString(16).toUpperCase().padStart(8, '0');
+            case 'sirc':
+                return code.bits && code.bits !== 12
+                    ? `${code.device}:${code.command}:${code.bits}:${code.extended || 0}`
+                    : `${code.device}:${code.command}`;
+            case 'rc5':
+                return `${code.address}:${code.command}`;
+            case 'rc6':
+                return code.mode ? `${code.address}:${code.command}:${code.mode}` : `${code.address}:${code.command}`;
+            case 'raw':
+                return `${code.carrierFrequency / 1000} kHz: ` + code.timings.map((duration, i) => (i % 2 === 0 ? '+' : '-') + Math.round(duration)).join(' ');
+            case 'pronto':
+                return IRGenerator.toProntoHex(code.carrierFrequency, code.once, code.repeat);
+            default:
+                return JSON.stringify(code);
+        }
+    }
+
+    /**
+     * Parse a NEC-family code in any notation, working out which one it is
+     * - MSB hex: the 32 bits in the order they are sent, first bit most significant (0x20DF10EF), as most code lists
+     *   and IRremote before version 3 print them
+     * - IRremote LSB: the first bit sent as bit 0, putting the address in the low byte (0xF708FB04), as IRremote 3+ prints raw data
+     * - Address/command: 0x04/0x08 or 4/8; values without 0x are decimal
+     * - protocol:address:command: nec:0x04:0x08, samsung32:7:2 or sirc:1:21, overriding the given protocol
+     * 8 hex digits are read whichever way round has consistent redundant bytes. NEC codes are consistent both ways
+     * round, so they read as MSB hex and carry the LSB reading as the alternative.
+     * @param {string} text - Code text
+     * @param {string} protocol - NEC-family protocol for text that does not name one (default 'nec')
+     * @returns {Object} - { protocol, code, notation (a CODE_NOTATIONS key), address, command, problems, alternative }
+     *   where problems lists inconsistent redundant bytes and alternative is the other reading of ambiguous hex, or null
+     */
+    static parseNotation(text, protocol = 'nec') {
+        const trimmed = text.trim();
+
+        // Address and command, with the redundant bytes filled in
+        const fromFields = (name, fields, notation) => {
+            const values = fields.map(field => (field.trim() === '' ? NaN : Number(field.trim())));
+            if (values.length !== 2 || values.some(value => !Number.isInteger(value) || value < 0)) {
+                throw new Error(`Invalid code "${text}". Expected address and command, e.g. 0x04/0x08 or ${name}:0x04:0x08 (prefix hex values with 0x)`);
+            }
+
+            const [address, command] = values;
+            // A NEC address wider than a byte can only be an extended one
+            if (name === 'nec' && address > 0xFF) {
+                name = 'nec-extended';
+            }
+            return { protocol: name, code: IRGenerator.necCode(name, address, command), notation, address, command, problems: [], alternative: null };
+        };
+
+        const prefixed = trimmed.match(/^([a-z][a-z0-9-]*)\s*:(.*)$/i);
+        if (prefixed) {
+            const name = PROTOCOL_ALIASES[prefixed[1].toLowerCase().replace(/-/g, '')] || prefixed[1].toLowerCase();
+            if (!BUTTON_PROTOCOLS[name] || name === 'raw' || name === 'pronto') {
+                const names = Object.keys(BUTTON_PROTOCOLS).filter(key => key !== 'raw' && key !== 'pronto');
+                throw new Error(`Unknown protocol "${prefixed[1]}". Expected ${names.join(', ')}`);
+            }
+            if (!NEC_FRAMINGS.includes(name)) {
+                return { protocol: name, code: IRGenerator.parseCode(name, prefixed[2]), notation: 'prefixed', problems: [], alternative: null };
+            }
+            return fromFields(name, prefixed[2].split(':'), 'prefixed');
+        }
+
+        if (trimmed.includes('/')) {
+            return fromFields(protocol, trimmed.split('/'), 'pair');
+        }
+
+        const hex = trimmed.replace(/\s+/g, '').replace(/^0x/i, '');
+        if (!/^[0-9a-f]{8}$/i.test(hex)) {
+            throw new Error(`Invalid code "${text}". Expected 8 hex digits (0x20DF10EF), address/command (0x04/0x08) or protocol:address:command (nec:0x04:0x08)`);
+        }
+
+        const value = parseInt(hex, 16);
+        const [msb, lsb] = [IRGenerator.reverseBits(value), value].map((code, i) => ({
+            notation: i === 0 ? 'msb' : 'lsb',
+            code,
+            ...IRGenerator.necFields(code, protocol),
+            problems: IRGenerator.checkNECCode(code, protocol)
+        }));
+
+        // Prefer the consistent reading, and MSB hex when both or neither are
+        const [chosen, other] = !msb.problems.length || lsb.problems.length ? [msb, lsb] : [lsb, msb];
+        const ambiguous = !chosen.problems.length && !other.problems.length && other.code !== chosen.code;
+        return { protocol, ...chosen, alternative: ambiguous ? other : null };
+    }
+
+    /**
+     * Convert a 32-bit code between MSB hex and the IRremote LSB layout, which number the same bits in opposite order
+     * @param {number} value - 32-bit code
+     * @returns {number} - Unsigned 32-bit code with bit 0 and bit 31 swapped, bit 1 and bit 30, and so on
+     */
+    static reverseBits(value) {
+        let reversed = 0;
+        for (let bit = 0; bit < 32; bit++) {
+            reversed = (reversed << 1) | ((value >>> bit) & 1);
+        }
+        return reversed >>> 0;
+    }
+
+    /**
+     * Build a NEC-family code from address and command, filling in the redundant bytes
+     * @param {string} framing - 'nec', 'nec-extended' or 'samsung32'
+     * @param {number} address - 8-bit address, 16-bit for NEC Extended
+     * @param {number} command - 8-bit command
+     * @returns {number} - 32-bit code (IRremote LSB layout)
+     */
+    static necCode(framing, address, command) {
+        const addressBits = framing === 'nec-extended' ? 16 : 8;
+        if (address >= 2 ** addressBits) {
+            throw new Error(`${BUTTON_PROTOCOLS[framing].name} addresses are ${addressBits}-bit, got ${address}`);
+        }
+        if (command > 0xFF) {
+            throw new Error(`${BUTTON_PROTOCOLS[framing].name} commands are 8-bit, got ${command}`);
+        }
+
+        const second = { 'nec': ~address & 0xFF, 'nec-extended': address >> 8, 'samsung32': address }[framing];
+        return ((address & 0xFF) | (second << 8) | (command << 16) | ((~command & 0xFF) << 24)) >>> 0;
+    }
+
+    /**
+     * Address and command of a NEC-family code
+     * @param {number} code - 32-bit code (IRremote LSB layout)
+     * @param {string} framing - 'nec', 'nec-extended' or 'samsung32'
+     * @returns {Object} - { address, command }, with a 16-bit address for NEC Extended
+     */
+    static necFields(code, framing) {
+        return {
+            address: framing === 'nec-extended' ? code & 0xFFFF : code & 0xFF,
+            command: (code >>> 16) & 0xFF
+        };
+    }
+
+    /**
+     * Check the redundant bytes of a NEC-family code
+     * The generator sends all 32 bits as given, so an inconsistent code still goes out, but is most likely mistyped.
+     * @param {number} code - 32-bit code (IRremote LSB layout)
+     * @param {string} framing - 'nec', 'nec-extended' or 'samsung32'
+     * @returns {Array<string>} - Problems found, empty for a consistent code
+     */
+    static checkNECCode(code, framing) {
+        const [address, second, command, inverse] = [0, 8, 16, 24].map(shift => (code >>> shift) & 0xFF);
+        const hex = value => '0x' + value.toString(16).toUpperCase().padStart(2, '0');
+        const problems = [];
+
+        if (framing === 'nec' && second !== (~address & 0xFF)) {
+            problems.push(`~Address ${hex(second)} is not the inverse of address ${hex(address)}; it may be an NEC Extended code`);
+        }
+        if (framing === 'samsung32' && second !== address) {
+            problems.push(`Second address byte ${hex(second)} does not repeat address ${hex(address)}`);
+        }
+        if (inverse !== (~command & 0xFF)) {
+            problems.push(`~Command ${hex(inverse)} is not the inverse of command ${hex(command)}`);
+        }
+        return problems;
+    }
+
+    /**
+     * Write a code in every notation parseNotation reads
+     * Address/command notations are left out for NEC-family codes with inconsistent redundant bytes, which they cannot express.
+     * @param {string} protocol - Protocol (a BUTTON_PROTOCOLS key)
+     * @param {number|Object} code - Code as parseCode returns it
+     * @returns {Array<Object>} - Notations as { notation (a CODE_NOTATIONS key), name, text }
+     */
+    static codeNotations(protocol, code) {
+        if (!NEC_FRAMINGS.includes(protocol)) {
+            return [{ notation: 'prefixed', name: CODE_NOTATIONS.prefixed, text: `${protocol}:${IRGenerator.formatCode(protocol, code)}` }];
+        }
+
+        const hex = (value, digits) => '0x' + value.toString(16).toUpperCase().padStart(digits, '0');
+        const notations = [
+            { notation: 'msb', text: hex(IRGenerator.reverseBits(code), 8) },
+            { notation: 'lsb', text: hex(code >>> 0, 8) }
+        ];
+
+        if (!IRGenerator.checkNECCode(code, protocol).length) {
+            const { address, command } = IRGenerator.necFields(code, protocol);
+            const addressHex = hex(address, protocol === 'nec-extended' ? 4 : 2);
+            notations.push(
+                { notation: 'pair', text: `${addressHex}/${hex(command, 2)}` },
+                { notation: 'decimal', text: `${address}/${command}` },
+                { notation: 'prefixed', text: `${protocol}:${addressHex}:${hex(command, 2)}` }
+            );
+        }
+
+        return notations.map(entry => ({ ...entry, name: CODE_NOTATIONS[entry.notation] }));
+    }
+
+    /**
+     * Generate the signal for a code of any protocol
+     * @param {string} protocol - Protocol (a BUTTON_PROTOCOLS key)
+     * @param {number|Object} code - Code as parseCode returns it
+     * @param {number} repeatCount - Repeats to send (defaults to the protocol's usual count)
+     * @returns {Object} - Complete IR signal with left and right channels
+     */
+    generateCode(protocol, code, repeatCount) {
+        switch (protocol) {
+            case 'nec':
+            case 'nec-extended':
+            case 'samsung32':
+                return this.generateNECCode(code >>> 0, protocol, repeatCount);
+            case 'sirc':
+                return this.generateSIRCCommand(code.device, code.command, code.bits || 12, code.extended || 0, repeatCount);
+            case 'rc5':
+                return this.generateRC5Command(code.address, code.command, this.nextToggle(), repeatCount);
+            case 'rc6':
+                return this.generateRC6Command(code.address, code.command, code.mode || 0, this.nextToggle(),
+                    code.customer === undefined ? 0x800F : code.customer, repeatCount);
+            case 'raw':
+                return this.generateRawSignal(code.timings, code.carrierFrequency || this.carrierFrequency, repeatCount);
+            case 'pronto':
+                return this.generateProntoSignal(code, repeatCount);
+            default:
+                throw new Error(`Unsupported protocol: ${protocol}`);
+        }
     }
 
     /**
      * Generate audio buffer from IR signal
      * @param {Object} signal - IR signal samples with left and right channels
+     * @param {AudioContext} audioContext - Context to create the buffer in
      * @returns {AudioBuffer} - Web Audio API buffer
      */
-    createAudioBuffer(signal) {
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    createAudioBuffer(signal, audioContext) {
         const buffer = audioContext.createBuffer(2, signal.left.length, this.sampleRate);
         buffer.getChannelData(0).set(signal.left);
         buffer.getChannelData(1).set(signal.right);
@@ -198,10 +1075,38 @@ class IRGenerator {
     /**
      * Convert audio buffer to WAV file blob
      * @param {AudioBuffer} buffer - Audio buffer
+     * @param {Object} options - { format: a WAV_FORMATS key (default 'pcm16'), mono: keep only the left channel }
      * @returns {Blob} - WAV file blob
      */
-    audioBufferToWav(buffer) {
-        const length = buffer.length * buffer.numberOfChannels * 2;
+    audioBufferToWav(buffer, { format = 'pcm16', mono = false } = {}) {
+        const channels = Array.from({ length: mono ? 1 : buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+        return new Blob([IRGenerator.encodeWav(channels, buffer.sampleRate, format)], { type: 'audio/wav' });
+    }
+
+    /**
+     * Encode a signal as a WAV file at this generator's sample rate
+     * @param {Object} signal - IR signal samples with left and right channels
+     * @param {Object} options - { format: a WAV_FORMATS key (default 'pcm16'), mono: keep only the left channel }
+     * @returns {ArrayBuffer} - WAV file contents
+     */
+    signalToWav(signal, { format = 'pcm16', mono = false } = {}) {
+        // The left channel carries the LED drive in every driver mode, so mono keeps that one
+        return IRGenerator.encodeWav(mono ? [signal.left] : [signal.left, signal.right], this.sampleRate, format);
+    }
+
+    /**
+     * Encode channels of samples as a WAV file
+     * @param {Array<Float32Array>} channels - Samples of each channel, all the same length
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {string} format - A WAV_FORMATS key (default 'pcm16')
+     * @returns {ArrayBuffer} - WAV file contents
+     */
+    static encodeWav(channels, sampleRate, format = 'pcm16') {
+        const { bitsPerSample, formatTag } = WAV_FORMATS[format];
+        const bytesPerSample = bitsPerSample / 8;
+        const frames = channels[0].length;
+        const blockAlign = channels.length * bytesPerSample;
+        const length = frames * blockAlign;
         const arrayBuffer = new ArrayBuffer(44 + length);
         const view = new DataView(arrayBuffer);
 
@@ -212,159 +1117,155 @@ class IRGenerator {
             }
         };
 
-        const floatTo16BitPCM = (output, offset, input) => {
-            for (let i = 0; i < input.length; i++, offset += 2) {
-                const s = Math.max(-1, Math.min(1, input[i]));
-                output.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-            }
-        };
-
         writeString(0, 'RIFF');
         view.setUint32(4, 36 + length, true);
         writeString(8, 'WAVE');
         writeString(12, 'fmt ');
         view.setUint32(16, 16, true); // Format chunk size
-        view.setUint16(20, 1, true); // PCM format
-        view.setUint16(22, buffer.numberOfChannels, true);
-        view.setUint32(24, buffer.sampleRate, true);
-        view.setUint32(28, buffer.sampleRate * 2 * buffer.numberOfChannels, true);
-        view.setUint16(32, buffer.numberOfChannels * 2, true);
-        view.setUint16(34, 16, true); // Bits per sample
+        view.setUint16(20, formatTag, true);
+        view.setUint16(22, channels.length, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitsPerSample, true);
         writeString(36, 'data');
         view.setUint32(40, length, true);
 
-        // Interleave stereo channels
-        if (buffer.numberOfChannels === 2) {
-            const left = buffer.getChannelData(0);
-            const right = buffer.getChannelData(1);
-            let offset = 44;
-            for (let i = 0; i < left.length; i++) {
-                const sampleL = Math.max(-1, Math.min(1, left[i]));
-                const sampleR = Math.max(-1, Math.min(1, right[i]));
-                view.setInt16(offset, sampleL < 0 ? sampleL * 0x8000 : sampleL * 0x7FFF, true);
-                offset += 2;
-                view.setInt16(offset, sampleR < 0 ? sampleR * 0x8000 : sampleR * 0x7FFF, true);
-                offset += 2;
+        // Interleave channels, clipping to ±1 and scaling asymmetrically so -1 and +1 both fit
+        const writeSample = {
+            pcm16: (offset, s) => view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true),
+            pcm24: (offset, s) => {
+                const value = Math.trunc(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            },
+            float32: (offset, s) => view.setFloat32(offset, s, true)
+        }[format];
+
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (const channel of channels) {
+                writeSample(offset, Math.max(-1, Math.min(1, channel[i])));
+                offset += bytesPerSample;
             }
-        } else {
-            floatTo16BitPCM(view, 44, buffer.getChannelData(0));
         }
 
-        return new Blob([arrayBuffer], { type: 'audio/wav' });
+        return arrayBuffer;
     }
 
     /**
      * Generate IR command from hex code
-     * @param {string} hexCode - Hex code (e.g., "0x20DF10EF")
-     * @returns {Object} - Audio buffer and blob
+     * Given an audio context, the result also has the audioBuffer and wavBlob it had before the generator left the DOM.
+     * @param {string} hexCode - Code in any notation parseNotation reads (e.g., "0x20DF10EF")
+     * @param {AudioContext} audioContext - Context to create the audio buffer in (optional)
+     * @returns {Object} - { signal, wav } with the WAV file contents as an ArrayBuffer, plus { audioBuffer, wavBlob } given a context
      */
-    generateFromHex(hexCode) {
-        // Parse hex code
-        let code = hexCode.replace(/0x/i, '');
-        if (code.length !== 8) {
-            throw new Error('Invalid hex code format. Expected 8 hex digits (e.g., 20DF10EF)');
+    generateFromHex(hexCode, audioContext) {
+        const { protocol, code } = IRGenerator.parseNotation(hexCode);
+        const signal = this.generateCode(protocol, code);
+        const wav = this.signalToWav(signal);
+        if (!audioContext) {
+            return { signal, wav };
         }
-
-        const fullCode = parseInt(code, 16);
-        const address = (fullCode >> 24) & 0xFF;
-        const command = (fullCode >> 8) & 0xFF;
-
-        const signal = this.generateNECCommand(address, command);
-        const audioBuffer = this.createAudioBuffer(signal);
-        const wavBlob = this.audioBufferToWav(audioBuffer);
-
-        return { audioBuffer, wavBlob };
+        return {
+            signal,
+            wav,
+            audioBuffer: this.createAudioBuffer(signal, audioContext),
+            wavBlob: new Blob([wav], { type: 'audio/wav' })
+        };
     }
 }
 
-// LG TV NEC codes (Address: 0x20)
+// LG TV NEC codes (Address: 0x04)
 // Format: bits 0-7=Address, 8-15=~Address, 16-23=Command, 24-31=~Command (matches Arduino IRremote library)
 const LG_TV_CODES = {
-    power: 0xEF10DF20,
-    num0: 0xF708DF20,
-    num1: 0x7788DF20,
-    num2: 0xB748DF20,
-    num3: 0x37C8DF20,
-    num4: 0xD728DF20,
-    num5: 0x57A8DF20,
-    num6: 0x9768DF20,
-    num7: 0x17E8DF20,
-    num8: 0xE718DF20,
-    num9: 0x6798DF20,
-    volUp: 0xBF40DF20,
-    volDown: 0x3FC0DF20,
-    chUp: 0xFF00DF20,
-    chDown: 0x7F80DF20,
-    mute: 0x6F90DF20,
-    input: 0x2FD0DF20,
-    menu: 0x3DC2DF20,
-    back: 0xEB14DF20,
-    home: 0xC13EDF20,
-    up: 0xFD02DF20,
-    down: 0x7D82DF20,
-    left: 0x1FE0DF20,
-    right: 0x9F60DF20,
-    ok: 0xDD22DF20
+    power: 0xF708FB04,
+    num0: 0xEF10FB04,
+    num1: 0xEE11FB04,
+    num2: 0xED12FB04,
+    num3: 0xEC13FB04,
+    num4: 0xEB14FB04,
+    num5: 0xEA15FB04,
+    num6: 0xE916FB04,
+    num7: 0xE817FB04,
+    num8: 0xE718FB04,
+    num9: 0xE619FB04,
+    volUp: 0xFD02FB04,
+    volDown: 0xFC03FB04,
+    chUp: 0xFF00FB04,
+    chDown: 0xFE01FB04,
+    mute: 0xF609FB04,
+    input: 0xF40BFB04,
+    menu: 0xBC43FB04,
+    back: 0xD728FB04,
+    home: 0x837CFB04,
+    up: 0xBF40FB04,
+    down: 0xBE41FB04,
+    left: 0xF807FB04,
+    right: 0xF906FB04,
+    ok: 0xBB44FB04
 };
 
-// Samsung TV NEC codes (Address: 0x07)
-// Format: bits 0-7=Address, 8-15=~Address, 16-23=Command, 24-31=~Command
+// Samsung TV Samsung32 codes (Address: 0x07)
+// Format: bits 0-7=Address, 8-15=Address, 16-23=Command, 24-31=~Command
 const SAMSUNG_TV_CODES = {
-    power: 0xFD02F807,
-    num0: 0x778807,
-    num1: 0xDF20F807,
-    num2: 0x5FA0F807,
-    num3: 0x9F60F807,
-    num4: 0xEF10F807,
-    num5: 0x6F90F807,
-    num6: 0xAF50F807,
-    num7: 0xCF30F807,
-    num8: 0x4FB0F807,
-    num9: 0x8F70F807,
-    volUp: 0x1FE0F807,
-    volDown: 0x2FD0F807,
-    chUp: 0xB748F807,
-    chDown: 0xF708F807,
-    mute: 0x0FF0F807,
-    input: 0x7F80F807,
-    menu: 0xA758F807,
-    back: 0xE51AF807,
-    home: 0x9F60F807,
-    up: 0xF906F807,
-    down: 0x7986F807,
-    left: 0x59A6F807,
-    right: 0xB946F807,
-    ok: 0xE916F807
+    power: 0xFD020707,
+    num0: 0xEE110707,
+    num1: 0xFB040707,
+    num2: 0xFA050707,
+    num3: 0xF9060707,
+    num4: 0xF7080707,
+    num5: 0xF6090707,
+    num6: 0xF50A0707,
+    num7: 0xF30C0707,
+    num8: 0xF20D0707,
+    num9: 0xF10E0707,
+    volUp: 0xF8070707,
+    volDown: 0xF40B0707,
+    chUp: 0xED120707,
+    chDown: 0xEF100707,
+    mute: 0xF00F0707,
+    input: 0xFE010707,
+    menu: 0xE51A0707,
+    back: 0xA7580707,
+    home: 0x86790707,
+    up: 0x9F600707,
+    down: 0x9E610707,
+    left: 0x9A650707,
+    right: 0x9D620707,
+    ok: 0x97680707
 };
 
-// Sony TV NEC codes (Address: 0x01) - Note: Most Sony TVs use SIRC protocol, not NEC
-// These are generic NEC codes that may work with some Sony models
+// Sony TV SIRC codes (Device: 0x01, 12-bit frames)
+// Format: 7-bit command + device code, sent LSB first at 40kHz
+// Newer Bravia keys (Return, Options) live on the 15-bit device 0x97
 const SONY_TV_CODES = {
-    power: 0xFD02FE01,
-    num0: 0xF708FE01,
-    num1: 0xFF00FE01,
-    num2: 0x7F80FE01,
-    num3: 0xBF40FE01,
-    num4: 0x3FC0FE01,
-    num5: 0xDF20FE01,
-    num6: 0x5FA0FE01,
-    num7: 0x9F60FE01,
-    num8: 0x1FE0FE01,
-    num9: 0xEF10FE01,
-    volUp: 0xBF40FE01,
-    volDown: 0x3FC0FE01,
-    chUp: 0xFF00FE01,
-    chDown: 0x7F80FE01,
-    mute: 0x6F90FE01,
-    input: 0x2FD0FE01,
-    menu: 0xCF30FE01,
-    back: 0xEB14FE01,
-    home: 0xC13EFE01,
-    up: 0xFD02FE01,
-    down: 0x7D82FE01,
-    left: 0x1FE0FE01,
-    right: 0x9F60FE01,
-    ok: 0xDD22FE01
+    power: { device: 0x01, command: 21 },
+    num0: { device: 0x01, command: 9 },
+    num1: { device: 0x01, command: 0 },
+    num2: { device: 0x01, command: 1 },
+    num3: { device: 0x01, command: 2 },
+    num4: { device: 0x01, command: 3 },
+    num5: { device: 0x01, command: 4 },
+    num6: { device: 0x01, command: 5 },
+    num7: { device: 0x01, command: 6 },
+    num8: { device: 0x01, command: 7 },
+    num9: { device: 0x01, command: 8 },
+    volUp: { device: 0x01, command: 18 },
+    volDown: { device: 0x01, command: 19 },
+    chUp: { device: 0x01, command: 16 },
+    chDown: { device: 0x01, command: 17 },
+    mute: { device: 0x01, command: 20 },
+    input: { device: 0x01, command: 37 },
+    menu: { device: 0x97, command: 54, bits: 15 },
+    back: { device: 0x97, command: 35, bits: 15 },
+    home: { device: 0x01, command: 96 },
+    up: { device: 0x01, command: 116 },
+    down: { device: 0x01, command: 117 },
+    left: { device: 0x01, command: 52 },
+    right: { device: 0x01, command: 51 },
+    ok: { device: 0x01, command: 101 }
 };
 
 // Vizio TV NEC codes (Address: 0x04)
@@ -427,11 +1328,89 @@ const TCL_TV_CODES = {
     ok: 0xB748F708
 };
 
+// Philips TV RC6 codes (Mode 0, Address: 0x00)
+// Format: 8-bit address + 8-bit command, toggle bit flips on every press
+const PHILIPS_TV_CODES = {
+    power: { address: 0x00, command: 0x0C },
+    num0: { address: 0x00, command: 0x00 },
+    num1: { address: 0x00, command: 0x01 },
+    num2: { address: 0x00, command: 0x02 },
+    num3: { address: 0x00, command: 0x03 },
+    num4: { address: 0x00, command: 0x04 },
+    num5: { address: 0x00, command: 0x05 },
+    num6: { address: 0x00, command: 0x06 },
+    num7: { address: 0x00, command: 0x07 },
+    num8: { address: 0x00, command: 0x08 },
+    num9: { address: 0x00, command: 0x09 },
+    volUp: { address: 0x00, command: 0x10 },
+    volDown: { address: 0x00, command: 0x11 },
+    chUp: { address: 0x00, command: 0x4C },
+    chDown: { address: 0x00, command: 0x4D },
+    mute: { address: 0x00, command: 0x0D },
+    input: { address: 0x00, command: 0x38 },
+    menu: { address: 0x00, command: 0x40 },
+    back: { address: 0x00, command: 0x0A },
+    home: { address: 0x00, command: 0x54 },
+    up: { address: 0x00, command: 0x58 },
+    down: { address: 0x00, command: 0x59 },
+    left: { address: 0x00, command: 0x5A },
+    right: { address: 0x00, command: 0x5B },
+    ok: { address: 0x00, command: 0x5C }
+};
+
+// Windows Media Center remote RC6 codes (Mode 6A, Customer: 0x800F, Address: 0x04)
+// Format: 16-bit customer + toggle + 7-bit address + 8-bit command
+const MCE_REMOTE_CODES = {
+    power: { mode: 6, address: 0x04, command: 0x0C },
+    num0: { mode: 6, address: 0x04, command: 0x00 },
+    num1: { mode: 6, address: 0x04, command: 0x01 },
+    num2: { mode: 6, address: 0x04, command: 0x02 },
+    num3: { mode: 6, address: 0x04, command: 0x03 },
+    num4: { mode: 6, address: 0x04, command: 0x04 },
+    num5: { mode: 6, address: 0x04, command: 0x05 },
+    num6: { mode: 6, address: 0x04, command: 0x06 },
+    num7: { mode: 6, address: 0x04, command: 0x07 },
+    num8: { mode: 6, address: 0x04, command: 0x08 },
+    num9: { mode: 6, address: 0x04, command: 0x09 },
+    volUp: { mode: 6, address: 0x04, command: 0x10 },
+    volDown: { mode: 6, address: 0x04, command: 0x11 },
+    chUp: { mode: 6, address: 0x04, command: 0x12 },
+    chDown: { mode: 6, address: 0x04, command: 0x13 },
+    mute: { mode: 6, address: 0x04, command: 0x0E },
+    input: { mode: 6, address: 0x04, command: 0x25 }, // Live TV
+    menu: { mode: 6, address: 0x04, command: 0x0F }, // More info
+    back: { mode: 6, address: 0x04, command: 0x23 },
+    home: { mode: 6, address: 0x04, command: 0x0D }, // Windows Start button
+    up: { mode: 6, address: 0x04, command: 0x1E },
+    down: { mode: 6, address: 0x04, command: 0x1F },
+    left: { mode: 6, address: 0x04, command: 0x20 },
+    right: { mode: 6, address: 0x04, command: 0x21 },
+    ok: { mode: 6, address: 0x04, command: 0x22 }
+};
+
 // All remote codes organized by brand
+// protocol selects the encoder: 'nec', 'nec-extended' or 'samsung32' (32-bit codes), 'sirc' ({ device, command, bits } codes),
+// 'rc5' ({ address, command } codes) or 'rc6' ({ address, command, mode } codes)
 const TV_REMOTES = {
-    lg: { name: 'LG', codes: LG_TV_CODES },
-    samsung: { name: 'Samsung', codes: SAMSUNG_TV_CODES },
-    sony: { name: 'Sony', codes: SONY_TV_CODES },
-    vizio: { name: 'Vizio', codes: VIZIO_TV_CODES },
-    tcl: { name: 'TCL/Roku', codes: TCL_TV_CODES }
+    lg: { name: 'LG', protocol: 'nec', codes: LG_TV_CODES },
+    samsung: { name: 'Samsung', protocol: 'samsung32', codes: SAMSUNG_TV_CODES },
+    sony: { name: 'Sony', protocol: 'sirc', codes: SONY_TV_CODES },
+    vizio: { name: 'Vizio', protocol: 'nec', codes: VIZIO_TV_CODES },
+    tcl: { name: 'TCL/Roku', protocol: 'nec', codes: TCL_TV_CODES },
+    philips: { name: 'Philips', protocol: 'rc6', codes: PHILIPS_TV_CODES },
+    mce: { name: 'Windows MCE', protocol: 'rc6', codes: MCE_REMOTE_CODES }
 };
+
+// CommonJS entry point for Node; in the browser this file is a plain script and everything above is global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IRGenerator,
+        DRIVER_MODES,
+        DEFAULT_DRIVER,
+        EXPORT_SAMPLE_RATES,
+        WAV_FORMATS,
+        BUTTON_PROTOCOLS,
+        CODE_NOTATIONS,
+        TV_REMOTES
+    };
+}
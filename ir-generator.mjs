@@ -0,0 +1,19 @@
+/**
+ * IR Signal Generator - ES module entry point
+ * Re-exports the DOM-free generator in ir-generator.js for `import` in Node and bundlers
+ */
+
+import generator from './ir-generator.js';
+
+export const {
+    IRGenerator,
+    DRIVER_MODES,
+    DEFAULT_DRIVER,
+    EXPORT_SAMPLE_RATES,
+    WAV_FORMATS,
+    BUTTON_PROTOCOLS,
+    CODE_NOTATIONS,
+    TV_REMOTES
+} = generator;
+
+export default generator;
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * IR Render - Command Line WAV Rendering
+ * Renders a code, or the buttons of a built-in remote, to WAV files with the same generator the app uses
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { IRGenerator, DRIVER_MODES, WAV_FORMATS, BUTTON_PROTOCOLS, TV_REMOTES } = require('./ir-generator.js');
+
+const USAGE = `Usage:
+  node ir-render.js --protocol <protocol> --code <code> [options]
+  node ir-render.js --brand <brand> [--button <name>...] [options]
+  node ir-render.js --list
+
+Code:
+  -p, --protocol <name>     ${Object.keys(BUTTON_PROTOCOLS).join(', ')}
+  -c, --code <code>         Code in the protocol's notation, e.g. 0x20DF10EF, 1:21 or "+9000 -4500 ..."
+  -b, --brand <brand>       Built-in remote (see --list); renders every button unless --button is given
+      --button <name>       Button of the remote, may be repeated
+
+Options:
+  -o, --out <path>          Output .wav file for one code, or directory for a remote (default: named after the code or brand)
+      --carrier <kHz>       Carrier frequency, overriding the protocol's own (default 38 for NEC-family and raw codes)
+      --sample-rate <Hz>    Sample rate (default 192000)
+      --repeats <n>         Repeats to send (default: the protocol's usual count)
+      --format <format>     ${Object.keys(WAV_FORMATS).join(', ')} (default pcm16)
+      --mono                Write only the left channel
+      --driver <mode>       ${Object.keys(DRIVER_MODES).join(', ')} (default differential)
+      --list                List the built-in remotes and their buttons
+  -h, --help                Show this help`;
+
+/**
+ * Read a positive number option
+ * @param {Object} values - Parsed options
+ * @param {string} name - Option name
+ * @returns {number|undefined} - Value, or undefined when the option is not given
+ */
+function numberOption(values, name) {
+    if (values[name] === undefined) return undefined;
+
+    const value = Number(values[name]);
+    if (!(value > 0)) {
+        throw new Error(`--${name} must be a positive number, got "${values[name]}"`);
+    }
+    return value;
+}
+
+/**
+ * File name for a button, numbered in the remote's order like the app's ZIP download
+ */
+function buttonFileName(index, name) {
+    return `${String(index + 1).padStart(2, '0')}_${name.replace(/[^A-Za-z0-9_-]+/g, '_')}.wav`;
+}
+
+function main(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            'protocol': { type: 'string', short: 'p' },
+            'code': { type: 'string', short: 'c' },
+            'brand': { type: 'string', short: 'b' },
+            'button': { type: 'string', multiple: true },
+            'out': { type: 'string', short: 'o' },
+            'carrier': { type: 'string' },
+            'sample-rate': { type: 'string' },
+            'repeats': { type: 'string' },
+            'format': { type: 'string', default: 'pcm16' },
+            'mono': { type: 'boolean', default: false },
+            'driver': { type: 'string', default: 'differential' },
+            'list': { type: 'boolean', default: false },
+            'help': { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (values.list) {
+        for (const [key, brand] of Object.entries(TV_REMOTES)) {
+            console.log(`${key.padEnd(10)} ${brand.name} (${brand.protocol}): ${Object.keys(brand.codes).join(', ')}`);
+        }
+        return;
+    }
+
+    if (!WAV_FORMATS[values.format]) {
+        throw new Error(`Unknown format "${values.format}". Expected ${Object.keys(WAV_FORMATS).join(', ')}`);
+    }
+    if (!DRIVER_MODES[values.driver]) {
+        throw new Error(`Unknown driver "${values.driver}". Expected ${Object.keys(DRIVER_MODES).join(', ')}`);
+    }
+
+    const carrier = numberOption(values, 'carrier');
+    const sampleRate = numberOption(values, 'sample-rate') || 192000;
+    const repeats = values.repeats === undefined ? undefined : Number(values.repeats);
+    if (repeats !== undefined && !(Number.isInteger(repeats) && repeats >= 0)) {
+        throw new Error(`--repeats must be a whole number, got "${values.repeats}"`);
+    }
+
+    const generator = new IRGenerator(carrier || 38, { mode: values.driver }, 1, sampleRate);
+    const wavOptions = { format: values.format, mono: values.mono };
+
+    // Render a code and write it, returning what it wrote for the remote index
+    const render = (protocol, code, file) => {
+        let signal = generator.generateCode(protocol, code, repeats);
+        if (carrier) {
+            signal = generator.renderFrames(signal.frames, carrier * 1000);
+        }
+
+        fs.writeFileSync(file, Buffer.from(generator.signalToWav(signal, wavOptions)));
+        const duration = signal.left.length / sampleRate * 1000;
+        console.log(`${file} (${duration.toFixed(1)} ms)`);
+        return { carrierFrequency: signal.carrierFrequency, duration };
+    };
+
+    if (values.brand) {
+        const brand = TV_REMOTES[values.brand];
+        if (!brand) {
+            throw new Error(`Unknown brand "${values.brand}". Expected ${Object.keys(TV_REMOTES).join(', ')}`);
+        }
+
+        const names = Object.keys(brand.codes);
+        const buttons = values.button || names;
+        const missing = buttons.filter(name => !brand.codes[name]);
+        if (missing.length) {
+            throw new Error(`${brand.name} has no ${missing.join(', ')} button. Expected ${names.join(', ')}`);
+        }
+
+        // Imported-style entries carry their own protocol; built-in ones use the brand's
+        const resolve = name => {
+            const entry = brand.codes[name];
+            return entry.protocol ? entry : { protocol: brand.protocol, code: entry };
+        };
+
+        // A single button may go straight to a .wav file
+        if (buttons.length === 1 && values.out && values.out.endsWith('.wav')) {
+            const { protocol, code } = resolve(buttons[0]);
+            render(protocol, code, values.out);
+            return;
+        }
+
+        const directory = values.out || values.brand;
+        fs.mkdirSync(directory, { recursive: true });
+
+        const index = [['file', 'button', 'protocol', 'code', 'carrier_hz', 'duration_ms']];
+        for (const name of buttons) {
+            const { protocol, code } = resolve(name);
+            const file = buttonFileName(names.indexOf(name), name);
+            const { carrierFrequency, duration } = render(protocol, code, path.join(directory, file));
+            index.push([file, name, protocol, IRGenerator.formatCode(protocol, code), carrierFrequency, duration.toFixed(1)]);
+        }
+
+        const csv = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        fs.writeFileSync(path.join(directory, 'index.csv'), index.map(row => row.map(field => csv(String(field))).join(',')).join('\r\n') + '\r\n');
+        return;
+    }
+
+    if (!values.protocol || !values.code) {
+        throw new Error('Give --protocol and --code, or --brand (see --help)');
+    }
+    if (!BUTTON_PROTOCOLS[values.protocol]) {
+        throw new Error(`Unknown protocol "${values.protocol}". Expected ${Object.keys(BUTTON_PROTOCOLS).join(', ')}`);
+    }
+
+    const code = IRGenerator.parseCode(values.protocol, values.code, (carrier || 38) * 1000);
+    const file = values.out || `ir_${values.protocol}_${values.code.replace(/[^A-Za-z0-9]+/g, '_').slice(0, 40)}.wav`;
+    render(values.protocol, code, file);
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`ir-render: ${error.message}`);
+    process.exitCode = 1;
+}
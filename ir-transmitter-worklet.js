@@ -0,0 +1,160 @@
+/**
+ * IR Transmitter Worklet
+ * AudioWorklet processor that synthesizes queued IR frames in real time
+ */
+
+class IRTransmitterProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { timingCompensation = 1, driver } = options.processorOptions || {};
+
+        this.timingCompensation = timingCompensation;
+        this.driver = driver; // { mode, amplitude, dutyCycle, silentSpaces } as in IRGenerator
+        this.queue = []; // Pending segments as { samples, mode, level, duty, carrierPeriod }
+        this.current = null;
+        this.position = 0;
+        this.loop = null; // Segments of the repeat frame streamed while a key is held
+        this.idleSamples = Infinity;
+
+        this.port.onmessage = event => this.handleMessage(event.data);
+    }
+
+    /**
+     * Handle a command from the main thread
+     * - send: queue { frames, carrierFrequency } and optionally loop `repeat` once they are done
+     * - release: stop looping after the current repeat frame
+     * - clear: drop everything that has not been played yet
+     * - driver: switch driver settings for frames sent from now on
+     * - timing: switch the timing compensation for frames sent from now on
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'send': {
+                // Wake the amplifier with a warm-up burst if the output has been silent for a while
+                if (!this.current && this.queue.length === 0 && this.idleSamples > sampleRate) {
+                    this.queue.push(
+                        this.segment(5000, 'mark', message.carrierFrequency),
+                        this.segment(10000, 'gap', message.carrierFrequency)
+                    );
+                }
+
+                this.queue.push(...this.frameSegments(message.frames, message.carrierFrequency));
+                this.loop = message.repeat ? this.frameSegments([message.repeat], message.carrierFrequency) : null;
+                break;
+            }
+            case 'release':
+                this.loop = null;
+                break;
+            case 'clear':
+                this.queue = [];
+                this.current = null;
+                this.loop = null;
+                break;
+            case 'driver':
+                this.driver = message.driver;
+                break;
+            case 'timing':
+                this.timingCompensation = message.timingCompensation;
+                break;
+        }
+    }
+
+    /**
+     * Create one segment with the current driver settings
+     * Marks and spaces get the same levels and timing compensation as IRGenerator.generatePulse; gaps are silent
+     * @param {number} duration - Duration in microseconds
+     * @param {string} kind - 'mark', 'space' or 'gap'
+     * @param {number} carrierFrequency - Carrier frequency in Hz
+     */
+    segment(duration, kind, carrierFrequency) {
+        const { mode, amplitude, dutyCycle, silentSpaces } = this.driver;
+        const levels = { mark: amplitude, space: silentSpaces ? 0 : 0.05, gap: 0 };
+        const compensation = kind === 'gap' ? 1 : this.timingCompensation;
+
+        return {
+            samples: Math.floor((duration * compensation / 1000000) * sampleRate),
+            mode,
+            level: levels[kind],
+            duty: kind === 'mark' ? dutyCycle : 0.5,
+            carrierPeriod: sampleRate / carrierFrequency
+        };
+    }
+
+    /**
+     * Convert frames into segments, each frame followed by its gap
+     */
+    frameSegments(frames, carrierFrequency) {
+        const segments = [];
+        for (const frame of frames) {
+            frame.timings.forEach((duration, i) => {
+                // Even entries are marks (carrier on), odd entries are spaces
+                segments.push(this.segment(duration, i % 2 === 0 ? 'mark' : 'space', carrierFrequency));
+            });
+            segments.push(this.segment(frame.gap, 'gap', carrierFrequency));
+        }
+        return segments;
+    }
+
+    /**
+     * Advance to the next non-empty segment, refilling from the repeat loop when the queue runs dry
+     */
+    nextSegment() {
+        this.current = null;
+        this.position = 0;
+
+        while (!this.current) {
+            if (this.queue.length === 0 && this.loop) {
+                this.queue.push(...this.loop);
+            }
+            if (this.queue.length === 0) return;
+
+            const segment = this.queue.shift();
+            if (segment.samples > 0) {
+                this.current = segment;
+            }
+        }
+    }
+
+    process(inputs, outputs) {
+        const [left, right] = outputs[0];
+
+        for (let i = 0; i < left.length; i++) {
+            if (!this.current || this.position >= this.current.samples) {
+                this.nextSegment();
+            }
+
+            if (!this.current) {
+                left[i] = 0;
+                right[i] = 0;
+                this.idleSamples++;
+                continue;
+            }
+
+            // Same drive patterns as IRGenerator.fillCarrier, carrier phase restarting with every segment
+            const { mode, level, duty, carrierPeriod } = this.current;
+            const onDuration = carrierPeriod * duty;
+            let value;
+            if (mode === 'half-carrier') {
+                const position = this.position % (carrierPeriod * 2);
+                if (position < onDuration) {
+                    value = level;
+                } else if (position >= carrierPeriod && position < carrierPeriod + onDuration) {
+                    value = -level;
+                } else {
+                    value = 0;
+                }
+            } else {
+                value = this.position % carrierPeriod < onDuration ? level : -level;
+            }
+            left[i] = value;
+            right[i] = mode === 'single' ? 0 : -value;
+
+            this.position++;
+            this.idleSamples = 0;
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('ir-transmitter', IRTransmitterProcessor);
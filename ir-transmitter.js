@@ -0,0 +1,126 @@
+/**
+ * Real-time IR Transmitter
+ * Streams IR frames through an AudioWorklet so sends start immediately and queue back to back without gaps
+ */
+
+class IRTransmitter {
+    /**
+     * @param {AudioContext} audioContext - Context to stream through
+     * @param {number} timingCompensation - Mark/space stretch factor from the device calibration
+     * @param {Object} driver - Driver settings, matching IRGenerator
+     */
+    constructor(audioContext, timingCompensation = 1, driver = DEFAULT_DRIVER) {
+        this.audioContext = audioContext;
+        this.timingCompensation = timingCompensation;
+        this.driver = { ...driver };
+        this.node = null;
+    }
+
+    /**
+     * Load the worklet and connect the transmitter to the speakers
+     * Fails where AudioWorklet is unavailable (older browsers, pages opened from file://)
+     * @param {string} moduleUrl - URL of the worklet processor script
+     */
+    async start(moduleUrl = 'ir-transmitter-worklet.js') {
+        if (!this.audioContext.audioWorklet) {
+            throw new Error('AudioWorklet is not supported in this browser');
+        }
+
+        await this.audioContext.audioWorklet.addModule(moduleUrl);
+
+        this.node = new AudioWorkletNode(this.audioContext, 'ir-transmitter', {
+            numberOfInputs: 0,
+            outputChannelCount: [2],
+            processorOptions: { timingCompensation: this.timingCompensation, driver: this.driver }
+        });
+        this.node.connect(this.audioContext.destination);
+    }
+
+    /**
+     * Whether the worklet is loaded and frames can be streamed
+     */
+    get ready() {
+        return this.node !== null;
+    }
+
+    /**
+     * Whether the context's sample rate is high enough to synthesize a carrier without aliasing
+     * @param {number} carrierFrequency - Carrier frequency in Hz
+     */
+    canCarry(carrierFrequency) {
+        return carrierFrequency <= this.audioContext.sampleRate / 2;
+    }
+
+    /**
+     * Queue frames after whatever is already playing
+     * @param {Array<Object>} frames - Frames as { timings, gap }, each followed by its gap
+     * @param {number} carrierFrequency - Carrier frequency in Hz
+     * @param {Object|null} repeat - Frame to loop once the queue is empty, until release() (default none)
+     */
+    send(frames, carrierFrequency, repeat = null) {
+        if (!this.ready) {
+            throw new Error('Transmitter is not started');
+        }
+
+        // Copy into plain arrays so reactive proxies never reach postMessage
+        const copy = frame => ({ timings: Array.from(frame.timings), gap: frame.gap });
+
+        this.audioContext.resume();
+        this.node.port.postMessage({
+            type: 'send',
+            frames: frames.map(copy),
+            carrierFrequency,
+            repeat: repeat ? copy(repeat) : null
+        });
+    }
+
+    /**
+     * Stop looping the repeat frame once the current one has finished
+     */
+    release() {
+        if (this.ready) {
+            this.node.port.postMessage({ type: 'release' });
+        }
+    }
+
+    /**
+     * Change how the carrier is put on the L/R channels for frames sent from now on
+     * @param {Object} driver - Driver settings { mode, amplitude, dutyCycle, silentSpaces }
+     */
+    setDriver(driver) {
+        this.driver = { ...driver };
+        if (this.ready) {
+            this.node.port.postMessage({ type: 'driver', driver: this.driver });
+        }
+    }
+
+    /**
+     * Change the mark/space stretch factor for frames sent from now on
+     * @param {number} timingCompensation - Stretch factor from the device calibration
+     */
+    setTimingCompensation(timingCompensation) {
+        this.timingCompensation = timingCompensation;
+        if (this.ready) {
+            this.node.port.postMessage({ type: 'timing', timingCompensation });
+        }
+    }
+
+    /**
+     * Drop all queued frames immediately
+     */
+    clear() {
+        if (this.ready) {
+            this.node.port.postMessage({ type: 'clear' });
+        }
+    }
+
+    /**
+     * Disconnect the worklet
+     */
+    stop() {
+        if (this.node) {
+            this.node.disconnect();
+            this.node = null;
+        }
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * Power Sweep
+ * Collects every known power code so a TV of unknown brand can be switched off by trying them in turn, TV-B-Gone style
+ */
+
+// Button sent from each remote; the toggle also works on sets that ignore discrete off codes
+const SWEEP_BUTTON = 'power';
+
+// Carrier each protocol is specified for
+const PROTOCOL_CARRIERS = {
+    'nec': 38000,
+    'nec-extended': 38000,
+    'samsung32': 38000,
+    'sirc': 40000,
+    'rc5': 36000,
+    'rc6': 36000
+};
+
+// Carriers IR receivers are tuned to; a set may use a receiver for another carrier than its protocol's
+const SWEEP_CARRIERS = [36000, 38000, 40000];
+
+class PowerSweep {
+    /**
+     * List the distinct power codes of a set of remotes, in the order given
+     * Remotes that share a code (LG and Vizio, for one) become one entry, so it is only sent once.
+     * Every code goes out on its protocol's own carrier first; with allCarriers, a second pass sends
+     * each again on the SWEEP_CARRIERS it hasn't used yet.
+     * @param {Object} brands - Remotes by key, as TV_REMOTES
+     * @param {boolean} allCarriers - Whether to add the second pass
+     * @returns {Array<Object>} - Codes as { protocol, code, text, carrierFrequency (Hz), brands: [{ key, name }] }
+     */
+    static codes(brands, allCarriers = false) {
+        const codes = new Map();
+
+        for (const [key, brand] of Object.entries(brands)) {
+            const entry = brand.codes[SWEEP_BUTTON];
+            if (!entry) continue;
+
+            const { protocol, code } = entry.protocol ? entry : { protocol: brand.protocol, code: entry };
+            const text = IRGenerator.formatCode(protocol, code);
+            const id = `${protocol} ${text}`;
+            if (!codes.has(id)) {
+                codes.set(id, { protocol, code, text, carrierFrequency: PROTOCOL_CARRIERS[protocol], brands: [] });
+            }
+            codes.get(id).brands.push({ key, name: brand.name });
+        }
+
+        const native = [...codes.values()];
+        if (!allCarriers) return native;
+
+        // Raw and Pronto codes carry their own carrier, so only protocol codes get variants
+        const variants = native.flatMap(entry => entry.carrierFrequency
+            ? SWEEP_CARRIERS.filter(carrier => carrier !== entry.carrierFrequency).map(carrierFrequency => ({ ...entry, carrierFrequency }))
+            : []);
+        return [...native, ...variants];
+    }
+
+    /**
+     * Short description of a sweep code, e.g. "LG / Vizio (NEC 0x20DF10EF, 38 kHz)"
+     * @param {Object} entry - Code from codes()
+     * @returns {string} - Label
+     */
+    static label(entry) {
+        const names = entry.brands.map(brand => brand.name).join(' / ');
+        const carrier = entry.carrierFrequency ? `, ${entry.carrierFrequency / 1000} kHz` : '';
+        return `${names} (${BUTTON_PROTOCOLS[entry.protocol].name} ${entry.text}${carrier})`;
+    }
+}
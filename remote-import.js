@@ -0,0 +1,393 @@
+/**
+ * Remote File Import - Flipper Zero, LIRC and IRremote/IRDB CSV
+ * Converts remote definition files into brand entries compatible with TV_REMOTES
+ */
+
+// Button name aliases for the standard remote grid keys
+// Names are matched after lowercasing, stripping a LIRC "KEY_" prefix and removing punctuation
+const BUTTON_ALIASES = {
+    power: ['power', 'pwr', 'standby', 'onoff', 'powertoggle'],
+    num0: ['0', 'num0', 'digit0', 'zero'],
+    num1: ['1', 'num1', 'digit1', 'one'],
+    num2: ['2', 'num2', 'digit2', 'two'],
+    num3: ['3', 'num3', 'digit3', 'three'],
+    num4: ['4', 'num4', 'digit4', 'four'],
+    num5: ['5', 'num5', 'digit5', 'five'],
+    num6: ['6', 'num6', 'digit6', 'six'],
+    num7: ['7', 'num7', 'digit7', 'seven'],
+    num8: ['8', 'num8', 'digit8', 'eight'],
+    num9: ['9', 'num9', 'digit9', 'nine'],
+    volUp: ['volup', 'volumeup', 'volplus', 'vup'],
+    volDown: ['voldn', 'voldown', 'volumedown', 'volminus', 'vdown'],
+    chUp: ['chup', 'channelup', 'chplus', 'chnext', 'progup', 'prup'],
+    chDown: ['chdn', 'chdown', 'channeldown', 'chminus', 'chprev', 'progdown', 'prdown'],
+    mute: ['mute'],
+    input: ['input', 'source', 'inputsource', 'av', 'tvav'],
+    menu: ['menu', 'options', 'settings'],
+    back: ['back', 'return', 'exit'],
+    home: ['home', 'smarthub'],
+    up: ['up', 'arrowup', 'cursorup', 'dpadup'],
+    down: ['down', 'arrowdown', 'cursordown', 'dpaddown'],
+    left: ['left', 'arrowleft', 'cursorleft', 'dpadleft'],
+    right: ['right', 'arrowright', 'cursorright', 'dpadright'],
+    ok: ['ok', 'enter', 'select', 'center']
+};
+
+class RemoteImporter {
+    /**
+     * Parse a remote definition file, detecting its format
+     * @param {string} text - File contents
+     * @param {string} fileName - File name (used for format detection and the remote name)
+     * @returns {Array<Object>} - Remotes as { name, codes, skipped }
+     */
+    static parse(text, fileName = 'Imported') {
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+
+        if (/^\s*Filetype:\s*IR (signals|library) file/i.test(text) || /\.ir$/i.test(fileName)) {
+            return [RemoteImporter.parseFlipper(text, baseName)];
+        }
+        if (/^\s*begin\s+remote/im.test(text)) {
+            return RemoteImporter.parseLIRC(text);
+        }
+        if (/\.csv$/i.test(fileName) || /^[^\n]*,[^\n]*protocol/i.test(text)) {
+            return [RemoteImporter.parseCSV(text, baseName)];
+        }
+
+        throw new Error('Unrecognized remote file. Expected a Flipper Zero .ir, LIRC lircd.conf or IRDB CSV file');
+    }
+
+    /**
+     * Map an imported button name to a standard remote grid key
+     * @param {string} name - Button name from the file
+     * @returns {string|null} - Grid key (e.g., 'volUp') or null if there's no match
+     */
+    static standardKey(name) {
+        const normalized = name.toLowerCase()
+            .replace(/^key_/, '')
+            .replace(/\+/g, 'plus')
+            .replace(/-$/, 'minus')
+            .replace(/[^a-z0-9]/g, '');
+
+        for (const [key, aliases] of Object.entries(BUTTON_ALIASES)) {
+            if (aliases.includes(normalized)) return key;
+        }
+        return null;
+    }
+
+    /**
+     * Collect imported buttons into a brand-style codes object
+     * Buttons matching a grid key use that key; the rest keep their own name.
+     * Each code is stored as { protocol, code } so one remote can mix protocols.
+     * @param {Array<Object>} buttons - Buttons as { name, protocol, code }
+     * @returns {Object} - Codes keyed by button name
+     */
+    static collectCodes(buttons) {
+        const codes = {};
+
+        for (const button of buttons) {
+            let key = RemoteImporter.standardKey(button.name);
+            if (!key || codes[key]) {
+                key = button.name;
+            }
+
+            // Universal remote files often repeat a name, keep every variant
+            let uniqueKey = key;
+            for (let n = 2; codes[uniqueKey]; n++) {
+                uniqueKey = `${key} (${n})`;
+            }
+
+            codes[uniqueKey] = { protocol: button.protocol, code: button.code };
+        }
+
+        return codes;
+    }
+
+    /**
+     * Build a 32-bit NEC code (IRremote LSB layout) from address and command
+     * 8-bit values get their inverse byte; 16-bit values are sent as given
+     */
+    static necCode(address, command) {
+        const addressWord = address > 0xFF ? address & 0xFFFF : (address & 0xFF) | (((~address) & 0xFF) << 8);
+        const commandWord = command > 0xFF ? command & 0xFFFF : (command & 0xFF) | (((~command) & 0xFF) << 8);
+        return (addressWord | (commandWord << 16)) >>> 0;
+    }
+
+    /**
+     * Convert a decoded signal (protocol name + address + command) to an app protocol and code
+     * Handles the protocol names used by Flipper Zero, IRDB and Arduino IRremote
+     * @returns {Object|null} - { protocol, code } or null if the protocol is not supported
+     */
+    static decodedToCode(protocolName, address, command, subdevice = -1) {
+        const name = protocolName.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+        switch (name) {
+            case 'NEC':
+            case 'NEC1':
+            case 'NEC2':
+            case 'APPLE':
+                if (subdevice >= 0 && subdevice !== ((~address) & 0xFF)) {
+                    return { protocol: 'nec-extended', code: RemoteImporter.necCode((address & 0xFF) | (subdevice << 8), command) };
+                }
+                return { protocol: 'nec', code: RemoteImporter.necCode(address & 0xFF, command) };
+            case 'NECEXT':
+            case 'ONKYO':
+                return { protocol: 'nec-extended', code: (((address & 0xFFFF) | ((command & 0xFFFF) << 16)) >>> 0) };
+            case 'SAMSUNG':
+            case 'SAMSUNG32':
+            case 'SAMSUNGLG':
+            case 'NECX1':
+            case 'NECX2': {
+                const second = subdevice >= 0 ? subdevice : address;
+                return {
+                    protocol: 'samsung32',
+                    code: ((address & 0xFF) | ((second & 0xFF) << 8) | ((command & 0xFF) << 16) | (((~command) & 0xFF) << 24)) >>> 0
+                };
+            }
+            case 'RC5':
+                return { protocol: 'rc5', code: { address, command } };
+            case 'RC5X':
+                return { protocol: 'rc5', code: { address, command: command < 64 ? command + 64 : command } };
+            case 'RC6':
+            case 'RC60':
+                return { protocol: 'rc6', code: { address, command } };
+            case 'MCE':
+            case 'RC6632':
+                return { protocol: 'rc6', code: { mode: 6, address, command } };
+            case 'SIRC':
+            case 'SONY12':
+                return { protocol: 'sirc', code: { device: address, command } };
+            case 'SIRC15':
+            case 'SONY15':
+                return { protocol: 'sirc', code: { device: address, command, bits: 15 } };
+            case 'SIRC20':
+                // Flipper packs the 8-bit extended code above the 5-bit device
+                return { protocol: 'sirc', code: { device: address & 0x1F, command, bits: 20, extended: address >> 5 } };
+            case 'SONY20':
+                return { protocol: 'sirc', code: { device: address, command, bits: 20, extended: Math.max(subdevice, 0) } };
+            case 'SONY':
+                // IRremote reports Sony frames without their length, infer it from the address width
+                if (address > 0xFF) {
+                    return { protocol: 'sirc', code: { device: address & 0x1F, command, bits: 20, extended: address >> 5 } };
+                }
+                return { protocol: 'sirc', code: { device: address, command, bits: address > 0x1F ? 15 : 12 } };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse a Flipper Zero .ir file (parsed and raw signals)
+     * @param {string} text - File contents
+     * @param {string} name - Remote name
+     * @returns {Object} - Remote as { name, codes, skipped }
+     */
+    static parseFlipper(text, name) {
+        const signals = [];
+        let current = null;
+
+        for (const line of text.split(/\r?\n/)) {
+            const match = line.match(/^\s*([a-z_]+)\s*:\s*(.*?)\s*$/i);
+            if (!match) continue;
+
+            const [, key, value] = match;
+            if (key === 'name') {
+                current = { name: value };
+                signals.push(current);
+            } else if (current) {
+                current[key] = value;
+            }
+        }
+
+        // Multi-byte fields are little-endian hex bytes, e.g. "07 00 00 00"
+        const bytesToNumber = value => value.split(/\s+/)
+            .reduce((sum, byte, i) => sum + parseInt(byte, 16) * Math.pow(256, i), 0);
+
+        const buttons = [];
+        const skipped = [];
+
+        for (const signal of signals) {
+            if (signal.type === 'raw' && signal.data) {
+                buttons.push({
+                    name: signal.name,
+                    protocol: 'raw',
+                    code: {
+                        timings: IRGenerator.parseRawTimings(signal.data),
+                        carrierFrequency: parseInt(signal.frequency, 10) || 38000
+                    }
+                });
+                continue;
+            }
+
+            const decoded = signal.type === 'parsed' && signal.protocol
+                ? RemoteImporter.decodedToCode(signal.protocol, bytesToNumber(signal.address || '0'), bytesToNumber(signal.command || '0'))
+                : null;
+
+            if (decoded) {
+                buttons.push({ name: signal.name, ...decoded });
+            } else {
+                skipped.push(`${signal.name} (${signal.protocol || signal.type || 'unknown'})`);
+            }
+        }
+
+        return { name, codes: RemoteImporter.collectCodes(buttons), skipped };
+    }
+
+    /**
+     * Parse a LIRC lircd.conf file
+     * Pulse-distance (SPACE_ENC) remotes and raw_codes remotes are supported. Every button is
+     * rendered to raw timings using the remote's header, one/zero, pre/post data and trailer.
+     * @param {string} text - File contents
+     * @returns {Array<Object>} - Remotes as { name, codes, skipped }
+     */
+    static parseLIRC(text) {
+        const remotes = [];
+        let remote = null;
+        let section = null;
+        let rawButton = null;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            if (!line) continue;
+
+            const tokens = line.split(/\s+/);
+            const keyword = tokens[0].toLowerCase();
+
+            if (keyword === 'begin' && tokens[1] === 'remote') {
+                remote = { params: {}, codes: [], raw: [] };
+                section = null;
+            } else if (keyword === 'end' && tokens[1] === 'remote') {
+                if (remote) remotes.push(remote);
+                remote = null;
+            } else if (!remote) {
+                continue;
+            } else if (keyword === 'begin') {
+                section = tokens[1];
+            } else if (keyword === 'end') {
+                section = null;
+                rawButton = null;
+            } else if (section === 'codes') {
+                remote.codes.push({ name: tokens[0], value: tokens[1] });
+            } else if (section === 'raw_codes') {
+                if (keyword === 'name') {
+                    rawButton = { name: tokens[1], timings: [] };
+                    remote.raw.push(rawButton);
+                } else if (rawButton) {
+                    rawButton.timings.push(...tokens.map(Number));
+                }
+            } else {
+                remote.params[keyword] = tokens.slice(1);
+            }
+        }
+
+        return remotes.map(({ params, codes, raw }) => {
+            const name = params.name ? params.name[0] : 'LIRC Remote';
+            const carrierFrequency = params.frequency ? Number(params.frequency[0]) : 38000;
+            const flags = params.flags ? params.flags.join('').toUpperCase() : 'SPACE_ENC';
+            const buttons = [];
+            const skipped = [];
+
+            for (const button of raw) {
+                buttons.push({ name: button.name, protocol: 'raw', code: { timings: button.timings, carrierFrequency } });
+            }
+
+            if (codes.length && /RC5|RC6|SHIFT_ENC|RCMM|GRUNDIG|BO|XMP|SERIAL/.test(flags)) {
+                skipped.push(...codes.map(button => `${button.name} (${flags})`));
+            } else {
+                for (const button of codes) {
+                    buttons.push({
+                        name: button.name,
+                        protocol: 'raw',
+                        code: { timings: RemoteImporter.lircTimings(params, flags, button.value), carrierFrequency }
+                    });
+                }
+            }
+
+            return { name, codes: RemoteImporter.collectCodes(buttons), skipped };
+        });
+    }
+
+    /**
+     * Render one LIRC pulse-distance code to mark/space timings
+     * @param {Object} params - Remote parameters (token arrays keyed by lowercase name)
+     * @param {string} flags - Remote flags
+     * @param {string} value - Button code (hex or decimal)
+     * @returns {number[]} - Alternating mark/space durations, starting with a mark
+     */
+    static lircTimings(params, flags, value) {
+        const pair = key => (params[key] ? params[key].map(Number) : null);
+        const number = (key, fallback = 0) => (params[key] ? Number(params[key][0]) : fallback);
+        const lsbFirst = flags.includes('REVERSE');
+        const one = pair('one') || [560, 1690];
+        const zero = pair('zero') || [560, 560];
+
+        const timings = [];
+        const pushPair = ([mark, space]) => timings.push(mark, space);
+        const pushBits = (data, bits) => {
+            for (let i = 0; i < bits; i++) {
+                const bit = lsbFirst ? BigInt(i) : BigInt(bits - 1 - i);
+                pushPair((data >> bit) & 1n ? one : zero);
+            }
+        };
+
+        if (pair('header')) pushPair(pair('header'));
+        if (number('plead')) timings.push(number('plead'), 0);
+        if (number('pre_data_bits')) pushBits(BigInt(params.pre_data[0]), number('pre_data_bits'));
+        if (pair('pre')) pushPair(pair('pre'));
+        pushBits(BigInt(value), number('bits', 32));
+        if (pair('post')) pushPair(pair('post'));
+        if (number('post_data_bits')) pushBits(BigInt(params.post_data[0]), number('post_data_bits'));
+        timings.push(number('ptrail') || one[0]);
+
+        // A zero-length space (after plead) means two marks run together
+        return IRGenerator.parseRawTimings(timings.map((duration, i) => (i % 2 === 0 ? '+' : '-') + duration)
+            .filter(token => !/^-0$/.test(token))
+            .join(' '));
+    }
+
+    /**
+     * Parse an IRDB or IRremote CSV file
+     * IRDB columns: functionname,protocol,device,subdevice,function
+     * IRremote columns: name,protocol,address,command
+     * @param {string} text - File contents
+     * @param {string} name - Remote name
+     * @returns {Object} - Remote as { name, codes, skipped }
+     */
+    static parseCSV(text, name) {
+        const rows = text.split(/\r?\n/)
+            .filter(line => line.trim())
+            .map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')));
+
+        const header = rows.shift().map(cell => cell.toLowerCase());
+        const column = (...names) => header.findIndex(cell => names.includes(cell));
+        const nameColumn = column('functionname', 'name', 'button', 'function_name');
+        const protocolColumn = column('protocol');
+        const addressColumn = column('device', 'address');
+        const subdeviceColumn = column('subdevice');
+        const commandColumn = column('function', 'command');
+
+        if (nameColumn < 0 || protocolColumn < 0 || addressColumn < 0 || commandColumn < 0) {
+            throw new Error('Unrecognized CSV header. Expected functionname,protocol,device,subdevice,function or name,protocol,address,command');
+        }
+
+        const buttons = [];
+        const skipped = [];
+
+        for (const row of rows) {
+            const subdevice = subdeviceColumn >= 0 && row[subdeviceColumn] !== '' ? Number(row[subdeviceColumn]) : -1;
+            const decoded = RemoteImporter.decodedToCode(
+                row[protocolColumn] || '',
+                Number(row[addressColumn]),
+                Number(row[commandColumn]),
+                Number.isNaN(subdevice) ? -1 : subdevice
+            );
+
+            if (decoded) {
+                buttons.push({ name: row[nameColumn], ...decoded });
+            } else {
+                skipped.push(`${row[nameColumn]} (${row[protocolColumn]})`);
+            }
+        }
+
+        return { name, codes: RemoteImporter.collectCodes(buttons), skipped };
+    }
+}
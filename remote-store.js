@@ -0,0 +1,113 @@
+/**
+ * User Remote Storage
+ * Persists user-defined and imported remotes, and macros, in localStorage
+ */
+
+const USER_REMOTES_KEY = 'irBlaster.userRemotes';
+const MACROS_KEY = 'irBlaster.macros';
+
+class RemoteStore {
+    /**
+     * Read a stored list from localStorage
+     * @param {string} key - localStorage key
+     * @param {string} field - Name of the list in the stored object
+     * @returns {Array<Object>} - Stored items, or an empty list if nothing valid is stored
+     */
+    static readList(key, field) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(key));
+            return stored && Array.isArray(stored[field]) ? stored[field] : [];
+        } catch (error) {
+            console.warn(`Could not load ${field}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Load user remotes from localStorage
+     * @returns {Array<Object>} - Remotes as { id, name, layout, columns, buttons }
+     */
+    static load() {
+        return RemoteStore.readList(USER_REMOTES_KEY, 'remotes');
+    }
+
+    /**
+     * Save user remotes to localStorage
+     * @param {Array<Object>} remotes - Remotes as { id, name, layout, columns, buttons }
+     */
+    static save(remotes) {
+        localStorage.setItem(USER_REMOTES_KEY, JSON.stringify({ version: 1, remotes }));
+    }
+
+    /**
+     * Load macros from localStorage
+     * @returns {Array<Object>} - Macros as { id, name, steps }
+     */
+    static loadMacros() {
+        return RemoteStore.readList(MACROS_KEY, 'macros');
+    }
+
+    /**
+     * Save macros to localStorage
+     * @param {Array<Object>} macros - Macros as { id, name, steps }
+     */
+    static saveMacros(macros) {
+        localStorage.setItem(MACROS_KEY, JSON.stringify({ version: 1, macros }));
+    }
+
+    /**
+     * Generate a unique id for a stored remote or macro
+     */
+    static newId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    /**
+     * Create an empty macro
+     * Steps are { brand, command, delay (ms after each press), repeat (number of presses) }
+     * @param {string} name - Macro name
+     * @returns {Object} - New macro
+     */
+    static createMacro(name) {
+        return { id: RemoteStore.newId(), name, steps: [] };
+    }
+
+    /**
+     * Create an empty user remote
+     * @param {string} name - Remote name
+     * @param {string} layout - 'grid' for a custom button grid, 'standard' for the TV remote layout
+     * @returns {Object} - New remote
+     */
+    static create(name, layout = 'grid') {
+        return {
+            id: RemoteStore.newId(),
+            name,
+            layout,
+            columns: 3,
+            buttons: []
+        };
+    }
+
+    /**
+     * Convert a user remote into a TV_REMOTES-style brand entry
+     * @param {Object} remote - User remote
+     * @returns {Object} - Brand with per-button { protocol, code } entries
+     */
+    static toBrand(remote) {
+        const codes = {};
+        for (const button of remote.buttons) {
+            codes[button.name] = { protocol: button.protocol, code: button.code };
+        }
+
+        return {
+            name: remote.name,
+            protocol: 'nec',
+            codes,
+            user: true,
+            id: remote.id,
+            layout: remote.layout,
+            columns: remote.columns,
+            buttons: remote.buttons
+        };
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * Service Worker
+ * Precaches the app, its libraries and fonts so the installed app launches and transmits without a network
+ */
+
+// Bump the version whenever a cached file changes; open pages then offer to reload into the new version
+const CACHE_VERSION = 'ir-blaster-v22';
+
+// Files served from this site
+const APP_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'ir-generator.js',
+    'ir-transmitter.js',
+    'ir-transmitter-worklet.js',
+    'calibration.js',
+    'ir-decoder.js',
+    'remote-import.js',
+    'remote-store.js',
+    'code-database.js',
+    'code-database-data.js',
+    'power-sweep.js',
+    'code-scanner.js',
+    'zip-archive.js',
+    'deep-link.js',
+    'input-bindings.js',
+    'site.webmanifest',
+    'logo.png',
+    'favicon.ico',
+    'favicon-16x16.png',
+    'favicon-32x32.png',
+    'apple-touch-icon.png',
+    'android-chrome-192x192.png',
+    'android-chrome-512x512.png'
+];
+
+// Pinned frontend libraries, served from this site
+const LIBRARY_FILES = [
+    'vendor/materialize-1.0.0/materialize.min.css',
+    'vendor/materialize-1.0.0/materialize.min.js',
+    'vendor/vue-3.5.43/vue.global.prod.js'
+];
+
+// Font stylesheets, exactly as index.html loads them; the app works without them, so they never fail the install
+const FONT_STYLESHEETS = [
+    'https://fonts.googleapis.com/css2?family=Roboto:wght@300;400;500;700&display=swap',
+    'https://fonts.googleapis.com/icon?family=Material+Icons'
+];
+
+// Hosts of the font stylesheets and the font files they point at
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * Cache a font stylesheet and the font files it points at
+ * Google Fonts picks the files by browser, so they are only known once the stylesheet has been fetched.
+ * A failure is only logged: the fonts are picked up on a later online visit instead.
+ * @param {Cache} cache - Cache to add the fonts to
+ * @param {string} url - Stylesheet URL
+ */
+async function precacheFonts(cache, url) {
+    try {
+        await cache.add(url);
+        const response = await cache.match(url);
+        const css = await response.text();
+        const fonts = [...css.matchAll(/url\((['"]?)(https:[^'")]+)\1\)/g)].map(match => match[2]);
+        await cache.addAll(fonts);
+    } catch (error) {
+        console.warn('Could not precache fonts from', url, error);
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.addAll([...APP_FILES, ...LIBRARY_FILES]);
+        await Promise.all(FONT_STYLESHEETS.map(url => precacheFonts(cache, url)));
+    })());
+});
+
+self.addEventListener('activate', event => {
+    // Drop the caches of earlier versions
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', event => {
+    // The page asks a waiting worker to take over once the user accepts the update
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    // Pages are opened with a hash for deep links; every navigation is the cached index.html
+    if (request.mode === 'navigate') {
+        event.respondWith(caches.match('index.html').then(cached => cached || fetch(request)));
+        return;
+    }
+
+    // Everything else from the cache, falling back to the network and caching fonts the install missed
+    event.respondWith((async () => {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+
+        const response = await fetch(request);
+        if (response.ok && FONT_HOSTS.includes(new URL(request.url).hostname)) {
+            const cache = await caches.open(CACHE_VERSION);
+            cache.put(request, response.clone());
+        }
+        return response;
+    })());
+});
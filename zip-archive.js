@@ -0,0 +1,107 @@
+/**
+ * ZIP Archive Writer
+ * Bundles files into an uncompressed (stored) ZIP, enough for batches of WAV files that would barely compress anyway
+ */
+
+// CRC-32 lookup table (polynomial 0xEDB88320), as every ZIP entry carries the checksum of its data
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+class ZipArchive {
+    constructor() {
+        this.entries = []; // Files as { name (UTF-8 bytes), data, crc, date, time }
+    }
+
+    /**
+     * CRC-32 of a byte array
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} - Unsigned checksum
+     */
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {ArrayBuffer|Uint8Array|string} data - File contents; strings are stored as UTF-8
+     * @param {Date} modified - Modification time (default now)
+     */
+    addFile(name, data, modified = new Date()) {
+        const encoder = new TextEncoder();
+        const bytes = typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data);
+
+        // MS-DOS date and time, with 2-second resolution and years counted from 1980
+        const date = ((modified.getFullYear() - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+        const time = (modified.getHours() << 11) | (modified.getMinutes() << 5) | (modified.getSeconds() >> 1);
+
+        this.entries.push({ name: encoder.encode(name), data: bytes, crc: ZipArchive.crc32(bytes), date, time });
+    }
+
+    /**
+     * Write the archive: a local header before each file, then the central directory and its end record
+     * @returns {Blob} - ZIP file blob
+     */
+    toBlob() {
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        // Fields shared by the local header (from offset 4) and the central directory entry (from offset 6)
+        const writeCommon = (view, at, entry) => {
+            view.setUint16(at, 20, true); // Version needed to extract (2.0)
+            view.setUint16(at + 2, 0x0800, true); // Flags: names are UTF-8
+            view.setUint16(at + 4, 0, true); // Method: stored
+            view.setUint16(at + 6, entry.time, true);
+            view.setUint16(at + 8, entry.date, true);
+            view.setUint32(at + 10, entry.crc, true);
+            view.setUint32(at + 14, entry.data.length, true); // Compressed size
+            view.setUint32(at + 18, entry.data.length, true); // Uncompressed size
+            view.setUint16(at + 22, entry.name.length, true);
+        };
+
+        for (const entry of this.entries) {
+            const header = new Uint8Array(30 + entry.name.length);
+            const view = new DataView(header.buffer);
+            view.setUint32(0, 0x04034B50, true);
+            writeCommon(view, 4, entry);
+            header.set(entry.name, 30);
+
+            const record = new Uint8Array(46 + entry.name.length);
+            const recordView = new DataView(record.buffer);
+            recordView.setUint32(0, 0x02014B50, true);
+            recordView.setUint16(4, 20, true); // Version made by
+            writeCommon(recordView, 6, entry);
+            recordView.setUint32(42, offset, true); // Offset of the local header
+            record.set(entry.name, 46);
+
+            parts.push(header, entry.data);
+            directory.push(record);
+            offset += header.length + entry.data.length;
+        }
+
+        const directorySize = directory.reduce((sum, record) => sum + record.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054B50, true);
+        endView.setUint16(8, this.entries.length, true); // Entries on this disk
+        endView.setUint16(10, this.entries.length, true); // Entries in total
+        endView.setUint32(12, directorySize, true);
+        endView.setUint32(16, offset, true); // Offset of the central directory
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+}